@@ -0,0 +1,153 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+/**
+ * Recognise the abbreviations, Q-codes and prosigns used in CW and explain them.
+ *
+ * @example
+ * import * as Abbreviations from 'morse-pro-abbreviations';
+ * Abbreviations.annotate("TNX FB QSO <SK>");
+ * // [{offset: 0, length: 3, token: "TNX", expansion: "thanks"}, ...]
+ * Abbreviations.expand("QTH LONDON <BT>");
+ * // "my location is LONDON break"
+ * Abbreviations.addAbbreviations({'GUD': 'good'});
+ */
+
+var abbreviationsH = {
+    // prosigns
+    '<AR>': 'end of message',
+    '<AS>': 'wait',
+    '<BK>': 'break-in',
+    '<BT>': 'break',
+    '<CL>': 'closing down',
+    '<CT>': 'start of transmission',
+    '<KN>': 'over to the named station only',
+    '<SK>': 'end of contact',
+    '<SN>': 'understood',
+    '<SOS>': 'distress',
+    '<VE>': 'understood',
+    // Q-codes
+    'QRL': 'this frequency is busy',
+    'QRL?': 'is this frequency busy?',
+    'QRM': 'there is interference',
+    'QRM?': 'is there interference?',
+    'QRN': 'there is static',
+    'QRN?': 'is there static?',
+    'QRO': 'increase power',
+    'QRP': 'reduce power',
+    'QRQ': 'send faster',
+    'QRS': 'send more slowly',
+    'QRT': 'stop sending',
+    'QRU': 'I have nothing for you',
+    'QRU?': 'have you anything for me?',
+    'QRV': 'I am ready',
+    'QRV?': 'are you ready?',
+    'QRX': 'wait',
+    'QRZ?': 'who is calling me?',
+    'QSB': 'your signal is fading',
+    'QSL': 'I acknowledge receipt',
+    'QSL?': 'can you acknowledge receipt?',
+    'QSO': 'contact',
+    'QSY': 'change frequency',
+    'QTH': 'my location is',
+    'QTH?': 'what is your location?',
+    // abbreviations
+    '73': 'best regards',
+    '88': 'love and kisses',
+    'AGN': 'again',
+    'ANT': 'antenna',
+    'BK': 'break',
+    'CFM': 'confirm',
+    'CPY': 'copy',
+    'CQ': 'calling any station',
+    'CUL': 'see you later',
+    'DE': 'from',
+    'DR': 'dear',
+    'ES': 'and',
+    'FB': 'fine business',
+    'GA': 'good afternoon',
+    'GE': 'good evening',
+    'GM': 'good morning',
+    'GN': 'good night',
+    'HI': 'laughter',
+    'HR': 'here',
+    'HW': 'how',
+    'HW?': 'how do you copy?',
+    'NAME': 'my name is',
+    'NR': 'number',
+    'OM': 'old man',
+    'OP': 'operator',
+    'PSE': 'please',
+    'PWR': 'power',
+    'R': 'received',
+    'RIG': 'radio',
+    'RPT': 'report',
+    'RST': 'signal report',
+    'SIG': 'signal',
+    'TNX': 'thanks',
+    'TU': 'thank you',
+    'UR': 'your',
+    'WX': 'weather',
+    'YL': 'young lady',
+    '5NN': 'signal report 599',
+    '599': 'signal report: perfectly readable, very strong, perfect tone'
+};
+
+/**
+ * Find the abbreviations, Q-codes and prosigns in some text (e.g. decoded from Morse).
+ * Words are separated by whitespace; a question mark on the end of a word is part of it (e.g. 'QTH?') and other punctuation is not.
+ * @param {string} text
+ * @return {{offset: number, length: number, token: string, expansion: string}[]} the position of each recognised token in the text, the token (in upper-case) and its meaning
+ */
+export function annotate(text) {
+    var annotations = [];
+    var regex = /<[A-Z]{2,3}>|[^\s<]+/gi;
+    var match;
+    while ((match = regex.exec(text)) !== null) {
+        var token = match[0].replace(/[.,!:;]+$/, '');
+        var upper = token.toUpperCase();
+        if (abbreviationsH[upper] !== undefined) {
+            annotations.push({
+                offset: match.index,
+                length: token.length,
+                token: upper,
+                expansion: abbreviationsH[upper]
+            });
+        }
+    }
+    return annotations;
+}
+
+/**
+ * Replace the abbreviations, Q-codes and prosigns in some text with their meanings.
+ * @param {string} text
+ * @return {string} the expanded text
+ */
+export function expand(text) {
+    var expanded = "";
+    var pos = 0;
+    annotate(text).forEach(function(annotation) {
+        expanded += text.slice(pos, annotation.offset) + annotation.expansion;
+        pos = annotation.offset + annotation.length;
+    });
+    return expanded + text.slice(pos);
+}
+
+/**
+ * Add to or override the dictionary of abbreviations.
+ * @param {Object} dict - dictionary of (upper-case) abbreviations to their meanings, e.g. {'GUD': 'good'}
+ */
+export function addAbbreviations(dict) {
+    for (var a in dict) {
+        abbreviationsH[a] = dict[a];
+    }
+}
@@ -0,0 +1,183 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+import * as Random from './morse-pro-util-random';
+
+/**
+ * Amateur radio callsigns: a prefix of one or two letters, a digit and a suffix of one to three letters (e.g. "K1ABC", "M0XYZ" or "DL2AA").
+ *
+ * @example
+ * import * as Callsign from 'morse-pro-callsign';
+ * import * as Random from 'morse-pro-util-random';
+ * var random = Random.createRandom('lesson 1');
+ * Callsign.randomCallsign(random);  // e.g. "G4KQT"
+ * Callsign.randomCallsign(random, "KMRSUAPT5");  // only uses these characters, e.g. "KA5MR"
+ * Callsign.isCallsign("M0XYZ");  // true
+ * Callsign.randomStation(random, ['Germany']);
+ * // e.g. {callsign: "DL2KQ", country: "Germany", continent: "EU", cqZone: 14, city: "HAMBURG", state: undefined, section: undefined}
+ */
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const DIGITS = "0123456789";
+
+/**
+ * The lengths of the prefix and suffix of callsigns and how common each is.
+ * @access private
+ */
+var formats = [
+    {prefix: 1, suffix: 1, weight: 1},
+    {prefix: 1, suffix: 2, weight: 3},
+    {prefix: 1, suffix: 3, weight: 4},
+    {prefix: 2, suffix: 1, weight: 1},
+    {prefix: 2, suffix: 2, weight: 3},
+    {prefix: 2, suffix: 3, weight: 4}
+];
+
+/**
+ * Realistic prefixes and locations: the digit of the callsign depends on the area and the CQ zone on the location.
+ * Cities are [name, state or province, ARRL section] in the USA and Canada, and [name] elsewhere.
+ * @access private
+ */
+var countries = [
+    {country: 'United States', continent: 'NA', suffix: [1, 3], prefixes: ['K', 'W', 'N', 'AA', 'AB', 'AC', 'AD', 'KA', 'KB', 'KC', 'KD', 'KE', 'KG', 'KI', 'KJ', 'WA', 'WB', 'WD'], areas: [
+        {digits: '1', cqZone: 5, cities: [['BOSTON', 'MA', 'EMA'], ['HARTFORD', 'CT', 'CT'], ['BURLINGTON', 'VT', 'VT']]},
+        {digits: '2', cqZone: 5, cities: [['NEW YORK', 'NY', 'NLI'], ['BUFFALO', 'NY', 'WNY'], ['NEWARK', 'NJ', 'NNJ']]},
+        {digits: '3', cqZone: 5, cities: [['PHILADELPHIA', 'PA', 'EPA'], ['PITTSBURGH', 'PA', 'WPA'], ['BALTIMORE', 'MD', 'MDC']]},
+        {digits: '4', cqZone: 5, cities: [['ATLANTA', 'GA', 'GA'], ['MIAMI', 'FL', 'SFL'], ['RICHMOND', 'VA', 'VA'], ['NASHVILLE', 'TN', 'TN']]},
+        {digits: '5', cqZone: 4, cities: [['DALLAS', 'TX', 'NTX'], ['HOUSTON', 'TX', 'STX'], ['TULSA', 'OK', 'OK'], ['ALBUQUERQUE', 'NM', 'NM']]},
+        {digits: '6', cqZone: 3, cities: [['LOS ANGELES', 'CA', 'LAX'], ['SAN DIEGO', 'CA', 'SDG'], ['SACRAMENTO', 'CA', 'SV']]},
+        {digits: '7', cqZone: 3, cities: [['SEATTLE', 'WA', 'WWA'], ['PHOENIX', 'AZ', 'AZ'], ['PORTLAND', 'OR', 'OR'], ['SALT LAKE CITY', 'UT', 'UT']]},
+        {digits: '8', cqZone: 4, cities: [['DETROIT', 'MI', 'MI'], ['COLUMBUS', 'OH', 'OH'], ['CHARLESTON', 'WV', 'WV']]},
+        {digits: '9', cqZone: 4, cities: [['CHICAGO', 'IL', 'IL'], ['INDIANAPOLIS', 'IN', 'IN'], ['MILWAUKEE', 'WI', 'WI']]},
+        {digits: '0', cqZone: 4, cities: [['DENVER', 'CO', 'CO'], ['MINNEAPOLIS', 'MN', 'MN'], ['ST LOUIS', 'MO', 'MO'], ['OMAHA', 'NE', 'NE']]}
+    ]},
+    {country: 'Canada', continent: 'NA', suffix: [2, 3], prefixes: ['VE', 'VA'], areas: [
+        {digits: '1', cqZone: 5, cities: [['HALIFAX', 'NS', 'NS']]},
+        {digits: '2', cqZone: 5, cities: [['MONTREAL', 'QC', 'QC']]},
+        {digits: '3', cqZone: 4, cities: [['TORONTO', 'ON', 'GTA'], ['OTTAWA', 'ON', 'ONE']]},
+        {digits: '6', cqZone: 4, cities: [['CALGARY', 'AB', 'AB']]},
+        {digits: '7', cqZone: 3, cities: [['VANCOUVER', 'BC', 'BC']]}
+    ]},
+    {country: 'England', continent: 'EU', suffix: [3, 3], prefixes: ['G', 'M'], areas: [
+        {digits: '03456', cqZone: 14, cities: [['LONDON'], ['MANCHESTER'], ['BRISTOL'], ['LEEDS']]}
+    ]},
+    {country: 'Germany', continent: 'EU', suffix: [2, 3], prefixes: ['DL', 'DK', 'DJ', 'DF', 'DH', 'DO'], areas: [
+        {digits: '123456789', cqZone: 14, cities: [['BERLIN'], ['HAMBURG'], ['MUNICH'], ['COLOGNE']]}
+    ]},
+    {country: 'France', continent: 'EU', suffix: [3, 3], prefixes: ['F'], areas: [
+        {digits: '14568', cqZone: 14, cities: [['PARIS'], ['LYON'], ['MARSEILLE']]}
+    ]},
+    {country: 'Spain', continent: 'EU', suffix: [2, 3], prefixes: ['EA'], areas: [
+        {digits: '1234567', cqZone: 14, cities: [['MADRID'], ['BARCELONA'], ['SEVILLE']]}
+    ]},
+    {country: 'Italy', continent: 'EU', suffix: [2, 3], prefixes: ['I', 'IK', 'IZ'], areas: [
+        {digits: '0123456789', cqZone: 15, cities: [['ROME'], ['MILAN'], ['NAPLES']]}
+    ]},
+    {country: 'European Russia', continent: 'EU', suffix: [2, 3], prefixes: ['UA', 'RA', 'RW'], areas: [
+        {digits: '1346', cqZone: 16, cities: [['MOSCOW'], ['ST PETERSBURG'], ['KAZAN']]}
+    ]},
+    {country: 'Japan', continent: 'AS', suffix: [3, 3], prefixes: ['JA', 'JH', 'JR', 'JE', 'JF'], areas: [
+        {digits: '0123456789', cqZone: 25, cities: [['TOKYO'], ['OSAKA'], ['KYOTO']]}
+    ]},
+    {country: 'Australia', continent: 'OC', suffix: [2, 3], prefixes: ['VK'], areas: [
+        {digits: '2345', cqZone: 30, cities: [['SYDNEY'], ['MELBOURNE'], ['BRISBANE']]}
+    ]},
+    {country: 'Brazil', continent: 'SA', suffix: [2, 3], prefixes: ['PY', 'PU'], areas: [
+        {digits: '12345', cqZone: 11, cities: [['SAO PAULO'], ['RIO'], ['CURITIBA']]}
+    ]},
+    {country: 'South Africa', continent: 'AF', suffix: [2, 3], prefixes: ['ZS'], areas: [
+        {digits: '1256', cqZone: 38, cities: [['CAPE TOWN'], ['DURBAN'], ['JOHANNESBURG']]}
+    ]}
+];
+
+/**
+ * Get the names of the countries known to randomStation.
+ * @return {string[]}
+ */
+export function getCountryNames() {
+    return countries.map(function(c) {
+        return c.country;
+    });
+}
+
+/**
+ * Make a random station with a realistic callsign for where it is.
+ * @param {function(): number} random - from Random.createRandom
+ * @param {string[]} [countryNames] - the countries to choose from (defaults to all of them, see getCountryNames)
+ * @return {{callsign: string, country: string, continent: string, cqZone: number, city: string, state: string, section: string}} the state (or province) and ARRL section are only given in the USA and Canada
+ * @throws {Error} if none of the countries are known
+ */
+export function randomStation(random, countryNames = getCountryNames()) {
+    var choices = countries.filter(function(c) {
+        return countryNames.indexOf(c.country) !== -1;
+    });
+    if (choices.length === 0) {
+        throw new Error('Unknown countries: "' + countryNames.join('", "') + '"');
+    }
+    var country = Random.pick(random, choices);
+    var area = Random.pick(random, country.areas);
+    var city = Random.pick(random, area.cities);
+    var callsign = Random.pick(random, country.prefixes) + Random.pick(random, area.digits.split(''));
+    var suffixLength = Random.integer(random, country.suffix[0], country.suffix[1]);
+    for (var i = 0; i < suffixLength; i++) {
+        callsign += Random.pick(random, LETTERS.split(''));
+    }
+    return {
+        callsign: callsign,
+        country: country.country,
+        continent: country.continent,
+        cqZone: area.cqZone,
+        city: city[0],
+        state: city[1],
+        section: city[2]
+    };
+}
+
+/**
+ * Make a random callsign.
+ * @param {function(): number} random - from Random.createRandom
+ * @param {string} [characters] - the characters which may be used (defaults to all letters and digits)
+ * @return {string}
+ * @throws {Error} if the characters do not include at least one letter and one digit
+ */
+export function randomCallsign(random, characters = LETTERS + DIGITS) {
+    var letters = LETTERS.split('').filter(function(c) {
+        return characters.toUpperCase().indexOf(c) !== -1;
+    });
+    var digits = DIGITS.split('').filter(function(c) {
+        return characters.indexOf(c) !== -1;
+    });
+    if (letters.length === 0 || digits.length === 0) {
+        throw new Error('Cannot make a callsign from "' + characters + '"');
+    }
+    var format = Random.pick(random, formats, formats.map(function(f) {
+        return f.weight;
+    }));
+    var callsign = "";
+    for (var i = 0; i < format.prefix; i++) {
+        callsign += Random.pick(random, letters);
+    }
+    callsign += Random.pick(random, digits);
+    for (i = 0; i < format.suffix; i++) {
+        callsign += Random.pick(random, letters);
+    }
+    return callsign;
+}
+
+/**
+ * Whether some text looks like a callsign, optionally with a portable or other suffix (e.g. "M0XYZ/P").
+ * @param {string} text
+ * @return {boolean}
+ */
+export function isCallsign(text) {
+    return text.match(/^(?:[A-Z]{1,2}|[A-Z]\d[A-Z]?|\d[A-Z]{1,2})\d[A-Z]{1,4}(?:\/[A-Z0-9]+)?$/i) !== null;
+}
@@ -0,0 +1,259 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+import MorseCWWave from './morse-pro-cw-wave';
+import MorseEnvelope from './morse-pro-envelope';
+import MorseTimbre from './morse-pro-timbre';
+import * as Random from './morse-pro-util-random';
+
+/**
+ * Functions making each colour of noise: given the random number generator and the number of samples they return the noise (of any level).
+ * @access private
+ */
+var noisesH = {
+    'white': function(random, length) {
+        var noise = [];
+        for (var i = 0; i < length; i++) {
+            noise.push(Random.gaussian(random));
+        }
+        return noise;
+    },
+    'pink': function(random, length) {
+        // Paul Kellet's economy filter of white noise
+        var noise = [];
+        var b0 = 0, b1 = 0, b2 = 0;
+        for (var i = 0; i < length; i++) {
+            var white = Random.gaussian(random);
+            b0 = 0.99765 * b0 + white * 0.0990460;
+            b1 = 0.96300 * b1 + white * 0.2965164;
+            b2 = 0.57000 * b2 + white * 1.0526913;
+            noise.push(b0 + b1 + b2 + white * 0.1848);
+        }
+        return noise;
+    }
+};
+
+/**
+ * Class to simulate an HF radio channel, so that generated Morse sounds as it does on the air.
+ * The signal can have chirp at key-down and slow frequency drift, and then fading (QSB), interfering carriers (QRM),
+ * static crashes (QRN) and background noise can be added to it. Nothing is added until it is asked for.
+ * It is pure JavaScript (no Web Audio API) and the same seed always gives the same sample, so lessons can be made in batches.
+ *
+ * @example
+ * import MorseCWWave from 'morse-pro-cw-wave';
+ * import MorseChannel from 'morse-pro-channel';
+ * var morseCWWave = new MorseCWWave();
+ * morseCWWave.translate("CQ DE M0XYZ");
+ * var channel = new MorseChannel('lesson 1');
+ * channel.snr = 6;  // 6dB signal to noise ratio
+ * channel.qsbPeriod = 8;  // fading over 8 seconds
+ * channel.qrm = [{frequency: 720, level: 0.3}];
+ * var sample = channel.getSample(morseCWWave);
+ */
+export default class MorseChannel {
+    /**
+     * @param {number|string} [seed] - seed for the random effects (see morse-pro-util-random); random if not given
+     */
+    constructor(seed) {
+        /**
+         * The signal to noise ratio in dB, comparing a sound at full strength with the noise; undefined for no noise.
+         * @type {number}
+         */
+        this.snr = undefined;
+        /**
+         * The colour of the noise: 'white' or 'pink' (see getNoiseNames).
+         * @type {string}
+         */
+        this.noise = 'white';
+        /**
+         * The time in seconds for the signal to fade and come back; 0 for no fading.
+         * @type {number}
+         */
+        this.qsbPeriod = 0;
+        /**
+         * How deep the fading is, from 0 (none) to 1 (the signal disappears).
+         * @type {number}
+         */
+        this.qsbDepth = 0.5;
+        /**
+         * The average number of static crashes per second; 0 for none.
+         * @type {number}
+         */
+        this.qrnRate = 0;
+        /**
+         * The largest static crash, compared with a sound at full strength.
+         * @type {number}
+         */
+        this.qrnLevel = 0.5;
+        /**
+         * The length in ms of the static crashes (they die away over this time).
+         * @type {number}
+         */
+        this.qrnLength = 50;
+        /**
+         * Interfering carriers, each with a frequency in Hz and a level compared with a sound at full strength.
+         * @type {{frequency: number, level: number}[]}
+         */
+        this.qrm = [];
+        /**
+         * How far in Hz the frequency is pulled at key-down; 0 for no chirp.
+         * @type {number}
+         */
+        this.chirp = 0;
+        /**
+         * The time in ms for the chirp to die away.
+         * @type {number}
+         */
+        this.chirpTime = 10;
+        /**
+         * How far the frequency drifts in Hz per minute; 0 for no drift.
+         * @type {number}
+         */
+        this.drift = 0;
+        /**
+         * The seed (see morse-pro-util-random); setting it starts the random effects again, and undefined gives a random seed.
+         * @type {number|string}
+         */
+        this.seed = seed;
+    }
+
+    /**
+     * Get the names of the colours of noise.
+     * @return {string[]}
+     */
+    static getNoiseNames() {
+        return Object.keys(noisesH);
+    }
+
+    /**
+     * Get a sample waveform of a MorseCWWave instance as received through the channel.
+     * @param {MorseCWWave} morseCWWave - uses its timings, frequencies, sample rate, envelope and timbre
+     * @param {number} [endPadding=0] - how much silence in ms to add to the end of the waveform
+     * @return {number[]} an array of floats in range [-1, 1] representing the wave-form
+     */
+    getSample(morseCWWave, endPadding = 0) {
+        var signal = this.getSignal(morseCWWave.getTimings(), morseCWWave.getFrequencies(), morseCWWave.sampleRate, endPadding, morseCWWave.envelope, morseCWWave.timbre);
+        return this.apply(signal, morseCWWave.sampleRate);
+    }
+
+    /**
+     * Get a sample waveform of the transmitted signal, with chirp and drift but nothing else added.
+     * Without chirp and drift (or with a telegraph sounder, which has neither) it is the same as MorseCWWave.getSampleGeneral.
+     * @param {number[]} timings - millisecond timings, +ve numbers representing sound, -ve for no sound
+     * @param {number|number[]} frequency - frequency of sound in Hz, or the frequency of each timing
+     * @param {number} sampleRate - sample rate in Hz
+     * @param {number} [endPadding=0] - how much silence in ms to add to the end of the waveform
+     * @param {MorseEnvelope} [envelope=new MorseEnvelope()] - the rise and fall of each sound
+     * @param {MorseTimbre} [timbre=new MorseTimbre()] - the waveform of the tone, or a telegraph sounder
+     * @return {number[]} an array of floats in range [-1, 1] representing the wave-form
+     */
+    getSignal(timings, frequency, sampleRate, endPadding = 0, envelope = new MorseEnvelope(), timbre = new MorseTimbre()) {
+        if (timbre.isSounder) {
+            return MorseCWWave.getSampleGeneral(timings, frequency, sampleRate, endPadding, envelope, timbre);
+        }
+        var sample = [];
+        var oscillators = {};  // the oscillator for each frequency
+        timings = timings.concat(-endPadding);
+        for (var t = 0; t < timings.length; t++) {
+            var duration = Math.abs(timings[t]);
+            var f = Array.isArray(frequency) ? frequency[Math.min(t, frequency.length - 1)] : frequency;
+            var phase = 0;
+            var oscillator = undefined;
+            if (timings[t] > 0) {
+                oscillator = oscillators[f] = oscillators[f] || timbre.createOscillator(f, sampleRate);
+            }
+            for (var i = 0; i < sampleRate * duration / 1000; i++) {
+                if (timings[t] > 0) {
+                    var ms = i * 1000 / sampleRate;
+                    sample.push(oscillator(phase) * envelope.gainAt(ms, duration));
+                    var drift = this.drift * sample.length / sampleRate / 60;
+                    var chirp = this.chirp === 0 ? 0 : this.chirp * Math.exp(-ms / this.chirpTime);
+                    phase += Math.PI * 2 * (f + drift + chirp) / sampleRate;
+                } else {
+                    sample.push(0);
+                }
+            }
+        }
+        return sample;
+    }
+
+    /**
+     * Add fading, interfering carriers, static crashes and noise to a sample, as set in the fields.
+     * If the result goes outside [-1, 1] then it is scaled down to fit.
+     * @param {number[]} sample - floats in range [-1, 1], e.g. from getSignal
+     * @param {number} sampleRate - sample rate in Hz
+     * @return {number[]} a new array of floats in range [-1, 1]
+     * @throws {Error} if the colour of noise is unknown
+     */
+    apply(sample, sampleRate) {
+        var ret = sample.slice();
+        var i;
+        if (this.qsbPeriod > 0 && this.qsbDepth > 0) {
+            var start = this._random() * Math.PI * 2;
+            for (i = 0; i < ret.length; i++) {
+                ret[i] *= 1 - this.qsbDepth * (0.5 - 0.5 * Math.cos(start + Math.PI * 2 * i / (sampleRate * this.qsbPeriod)));
+            }
+        }
+        this.qrm.forEach(function(carrier) {
+            var offset = this._random() * Math.PI * 2;
+            for (var j = 0; j < ret.length; j++) {
+                ret[j] += carrier.level * Math.sin(offset + Math.PI * 2 * carrier.frequency * j / sampleRate);
+            }
+        }, this);
+        if (this.qrnRate > 0) {
+            var decay = sampleRate * this.qrnLength / 1000 / 5;  // samples for the crash to die to 1/e
+            // crashes arrive at random (a Poisson process) so the gaps between them are exponentially distributed
+            var next = -Math.log(1 - this._random()) * sampleRate / this.qrnRate;
+            while (next < ret.length) {
+                var level = this.qrnLevel * (0.2 + 0.8 * this._random());
+                for (i = 0; i < decay * 5 && next + i < ret.length; i++) {
+                    ret[Math.floor(next) + i] += level * Math.exp(-i / decay) * Random.gaussian(this._random) / 3;
+                }
+                next += -Math.log(1 - this._random()) * sampleRate / this.qrnRate;
+            }
+        }
+        if (this.snr !== undefined) {
+            var makeNoise = noisesH[this.noise];
+            if (makeNoise === undefined) {
+                throw new Error('Unknown noise: "' + this.noise + '"');
+            }
+            var noise = makeNoise(this._random, ret.length);
+            // a full strength sine wave has power 1/2
+            var scale = Math.sqrt(0.5 / Math.pow(10, this.snr / 10)) / rms(noise);
+            for (i = 0; i < ret.length; i++) {
+                ret[i] += noise[i] * scale;
+            }
+        }
+        var peak = ret.reduce(function(max, x) {
+            return Math.max(max, Math.abs(x));
+        }, 0);
+        if (peak > 1) {
+            for (i = 0; i < ret.length; i++) {
+                ret[i] /= peak;
+            }
+        }
+        return ret;
+    }
+}
+
+Random.addSeed(MorseChannel);
+
+/**
+ * The root mean square of some numbers (1 if they are all 0, to avoid dividing by 0).
+ * @access private
+ */
+function rms(values) {
+    var sum = values.reduce(function(total, x) {
+        return total + x * x;
+    }, 0);
+    return Math.sqrt(sum / values.length) || 1;
+}
@@ -0,0 +1,122 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+/**
+ * Cut numbers, as sent in contest exchanges: letters with short Morse codes sent in place of digits, so "599 001" is sent as "5NN TTA".
+ * Only numeric fields are cut: words which are all digits when encoding, and words with at least one digit and nothing but digits and cut letters when decoding.
+ * So a callsign such as "M0XYZ" is never changed. A field which has been cut completely (e.g. "TTA" for "001") cannot be told apart from
+ * a word, so it is only decoded when the text is known to be an exchange of numeric fields.
+ *
+ * The rules for which digits to cut can be:
+ *   true - all the digits in the standard table (0: T, 1: A, 2: U, 3: V, 5: E, 7: B, 8: D, 9: N);
+ *   a string of digits, e.g. "09" to only cut zeros and nines;
+ *   a dictionary of digits to letters, e.g. {'0': 'O', '9': 'N'}.
+ *
+ * @example
+ * import * as CutNumbers from 'morse-pro-cut-numbers';
+ * CutNumbers.encode("599 001 M0XYZ", "09").text;  // "5NN TT1 M0XYZ"
+ * CutNumbers.decode("5NN TT1").text;  // "599 001"
+ * CutNumbers.decode("ENN TTA", true, true).text;  // "599 001"
+ */
+
+var cutNumberH = {
+    '0': 'T',
+    '1': 'A',
+    '2': 'U',
+    '3': 'V',
+    '5': 'E',
+    '7': 'B',
+    '8': 'D',
+    '9': 'N'
+};
+
+/**
+ * Get the dictionary of digits to cut letters for some rules.
+ * @param {boolean|string|Object} [rules=true] - see above
+ * @return {Object}
+ */
+export function getCutNumbers(rules = true) {
+    var cuts = {};
+    if (rules === true) {
+        return Object.assign(cuts, cutNumberH);
+    }
+    if (typeof rules === 'string') {
+        rules.split('').forEach(function(digit) {
+            if (cutNumberH[digit] !== undefined) {
+                cuts[digit] = cutNumberH[digit];
+            }
+        });
+        return cuts;
+    }
+    return Object.assign(cuts, rules);
+}
+
+/**
+ * Replace digits in numeric fields with cut letters.
+ * @param {string} text - upper-case text
+ * @param {boolean|string|Object} [rules=true] - which digits to cut (see above)
+ * @return {{text: string, substitutions: {offset: number, from: string, to: string}[]}} the new text and the changes made (the text is the same length)
+ */
+export function encode(text, rules = true) {
+    var cuts = getCutNumbers(rules);
+    return replaceInWords(text, cuts, function(word) {
+        return word.match(/^\d+$/) !== null;
+    });
+}
+
+/**
+ * Replace cut letters in numeric fields with digits.
+ * @param {string} text - upper-case text
+ * @param {boolean|string|Object} [rules=true] - which digits may have been cut (see above)
+ * @param {boolean} [exchange=false] - whether the text is an exchange of numeric fields, so that words of nothing but cut letters are decoded too
+ * @return {{text: string, substitutions: {offset: number, from: string, to: string}[]}} the new text and the changes made (the text is the same length)
+ */
+export function decode(text, rules = true, exchange = false) {
+    var cuts = getCutNumbers(rules);
+    var digits = {};
+    var letters = "";
+    for (var digit in cuts) {
+        digits[cuts[digit]] = digit;
+        letters += cuts[digit];
+    }
+    var field = new RegExp("^[0-9" + letters + "]*$");
+    return replaceInWords(text, digits, function(word) {
+        return (exchange || word.match(/\d/) !== null) && word.match(field) !== null;
+    });
+}
+
+/**
+ * Replace characters in the words of some text which pass a test.
+ * @access private
+ */
+function replaceInWords(text, replacements, isField) {
+    var ret = {
+        text: "",
+        substitutions: []
+    };
+    text.split(/(\s+)/).forEach(function(word) {
+        if (isField(word)) {
+            for (var i = 0; i < word.length; i++) {
+                var c = replacements[word[i]];
+                if (c !== undefined) {
+                    ret.substitutions.push({offset: ret.text.length, from: word[i], to: c});
+                    ret.text += c;
+                } else {
+                    ret.text += word[i];
+                }
+            }
+        } else {
+            ret.text += word;
+        }
+    });
+    return ret;
+}
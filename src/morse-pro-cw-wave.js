@@ -11,6 +11,8 @@ See the Licence for the specific language governing permissions and limitations
 */
 
 import MorseCW from './morse-pro-cw';
+import MorseEnvelope from './morse-pro-envelope';
+import MorseTimbre from './morse-pro-timbre';
 
 /**
  * Class to create sine-wave samples of standard CW Morse.
@@ -32,6 +34,16 @@ export default class MorseCWWave extends MorseCW {
         this.frequency = frequency;  // frequency of wave in Hz
         /** @type {number} */
         this.sampleRate = sampleRate;  // sample rate for the waveform in Hz
+        /**
+         * The rise and fall of each sound, used by getSample and getWAASample.
+         * @type {MorseEnvelope}
+         */
+        this.envelope = new MorseEnvelope();
+        /**
+         * The waveform of the tone (or a telegraph sounder), used by getSample and getWAASample.
+         * @type {MorseTimbre}
+         */
+        this.timbre = new MorseTimbre();
     }
 
     /**
@@ -40,67 +52,78 @@ export default class MorseCWWave extends MorseCW {
      * @return {number[]} an array of floats in range [-1, 1] representing the wave-form.
      */
     getSample(endPadding = 0) {
-        return MorseCWWave.getSampleGeneral(this.getTimings(), this.frequency, this.sampleRate, endPadding);
+        return MorseCWWave.getSampleGeneral(this.getTimings(), this.getFrequencies(), this.sampleRate, endPadding, this.envelope, this.timbre);
+    }
+
+    /**
+     * Get the frequency of each of the timings, following any '[freq=]' markup in the message.
+     * @return {number[]} the frequency in Hz of each timing returned by getTimings
+     */
+    getFrequencies() {
+        var frequencies = this.getTimings().map(function() {
+            return this.frequency;
+        }, this);
+        var indices = MorseCW.timingsAndIndices(this.getLengths(), this.morse, this.getChanges()).indices;
+        this.markup.forEach(function(m) {
+            if (m.name === 'freq') {
+                frequencies.fill(m.value, indices[m.morseOffset]);
+            }
+        });
+        return frequencies;
     }
 
     /**
      * Get a sample waveform, not using Web Audio API (synchronous).
      * @param {number[]} timings - millisecond timings, +ve numbers representing sound, -ve for no sound (+ve/-ve can be in any order)
-     * @param {number} frequency - frequency of sound in Hz.
+     * @param {number|number[]} frequency - frequency of sound in Hz, or the frequency of each timing.
      * @param {number} sampleRate - sample rate in Hz.
      * @param {number} [endPadding=0] - how much silence in ms to add to the end of the waveform.
+     * @param {MorseEnvelope} [envelope=new MorseEnvelope()] - the rise and fall of each sound.
+     * @param {MorseTimbre} [timbre=new MorseTimbre()] - the waveform of the tone, or a telegraph sounder (the waveform is made longer if need be so that the last clack is not cut off).
      * @return {number[]} an array of floats in range [-1, 1] representing the wave-form.
      */
-    static getSampleGeneral(timings, frequency, sampleRate, endPadding = 0) {
+    static getSampleGeneral(timings, frequency, sampleRate, endPadding = 0, envelope = new MorseEnvelope(), timbre = new MorseTimbre()) {
         var sample = [];
         if (timings.length === 0) {
             return [];
         }
-        // add minimum of 5ms silence to the end to ensure the filtered signal can finish cleanly
-        timings.push(-Math.max(5, endPadding));
-
-        /*
-            Compute lowpass biquad filter coefficients using method from Chromium
-        */
-
-        // set lowpass frequency cutoff to 1.5 x wave frequency
-        var lowpassFreq = (frequency * 1.5) / sampleRate;
-        var q = Math.SQRT1_2;
-      
-        var sin = Math.sin(2 * Math.PI * lowpassFreq);
-        var cos = Math.cos(2 * Math.PI * lowpassFreq);
-        var alpha = sin / (2 * Math.pow(10, q / 20));
-      
-        var a0 =  1 + alpha;
-
-        var b0 = ((1 - cos) * 0.5) / a0;
-        var b1 = (1 - cos) / a0;
-        var b2 = ((1 - cos) * 0.5) / a0;
-        var a1 = (-2 * cos) / a0;
-        var a2 = (1 - alpha) / a0;
-
-        /*
-            Compute filtered signal
-        */
-
-        var step = Math.PI * 2 * frequency / sampleRate;
-        var on = timings[0] > 0 ? 1 : 0;
-        var x0, x1 = 0, x2 = 0;
-        var y0, y1 = 0, y2 = 0;
-        var gain = 0.813;  // empirically, the lowpass filter outputs waveform of magnitude 1.23, so need to scale it down to avoid clipping
+        var frequencies = Array.isArray(frequency) ? frequency.slice() : timings.map(function() {
+            return frequency;
+        });
+        timings = timings.concat(-endPadding);
+        frequencies.push(frequencies[frequencies.length - 1]);
+        var clicks = [];  // sounder clicks as [sample index, key down, frequency]
+        var oscillators = {};  // the oscillator for each frequency
         for (var t = 0; t < timings.length; t += 1) {
-            var duration = sampleRate * Math.abs(timings[t]) / 1000;
-            for (var i = 0; i < duration; i += 1) {
-                x0 = on * Math.sin(i * step);  // the input signal
-                y0 = b0 * x0 + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
-                sample.push(y0 * gain);
-                x2 = x1;
-                x1 = x0;
-                y2 = y1;
-                y1 = y0;
+            var duration = Math.abs(timings[t]);
+            var samples = sampleRate * duration / 1000;
+            var step = Math.PI * 2 * frequencies[t] / sampleRate;
+            var oscillator = undefined;
+            if (timings[t] > 0 && !timbre.isSounder) {
+                oscillator = oscillators[frequencies[t]] = oscillators[frequencies[t]] || timbre.createOscillator(frequencies[t], sampleRate);
+            }
+            if (timings[t] > 0 && timbre.isSounder) {
+                clicks.push([sample.length, true, frequencies[t]]);
+            }
+            for (var i = 0; i < samples; i += 1) {
+                if (oscillator !== undefined) {
+                    sample.push(oscillator(i * step) * envelope.gainAt(i * 1000 / sampleRate, duration));
+                } else {
+                    sample.push(0);
+                }
+            }
+            if (timings[t] > 0 && timbre.isSounder) {
+                clicks.push([sample.length, false, frequencies[t]]);
             }
-            on = 1 - on;
         }
+        clicks.forEach(function(click) {
+            timbre.getSounderSound(click[1], click[2], sampleRate).forEach(function(x, j) {
+                if (click[0] + j === sample.length) {
+                    sample.push(0);
+                }
+                sample[click[0] + j] = Math.min(Math.max(sample[click[0] + j] + x, -1), 1);
+            });
+        });
         return sample;
     }
 
@@ -110,36 +133,45 @@ export default class MorseCWWave extends MorseCW {
      * @return {Promise(number[])} a Promise resolving to an array of floats in range [-1, 1] representing the wave-form.
      */
     getWAASample(endPadding = 0) {
-        // add minimum of 5ms silence to the end to ensure the filtered signal can finish cleanly
-        endPadding = Math.max(5, endPadding);
         var timings = this.getTimings();
         timings.push(-endPadding);
+        var frequencies = this.getFrequencies();
         var offlineAudioContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
         if (offlineAudioContextClass === undefined) {
             throw new Error("No OfflineAudioContext class defined");
         }
-        // buffer length is the Morse duration + 5ms to let the lowpass filter end cleanly
-        var offlineCtx = new offlineAudioContextClass(1, this.sampleRate * (this.getDuration() + endPadding) / 1000, this.sampleRate);
-        var gainNode = offlineCtx.createGain();
-        // empirically, the lowpass filter outputs waveform of magnitude 1.23, so need to scale it down to avoid clipping
-        gainNode.gain.setValueAtTime(0.813, 0);
-        var lowPassNode = offlineCtx.createBiquadFilter();
-        lowPassNode.type = "lowpass";
-        lowPassNode.frequency.setValueAtTime(this.frequency * 1.1, 0);  // TODO: remove this magic number and make the filter configurable?
-        gainNode.connect(lowPassNode);
-        lowPassNode.connect(offlineCtx.destination);
+        var length = this.getDuration() + endPadding;
+        if (this.timbre.isSounder) {
+            // make room for the clack after the last sound
+            var end = 0;
+            var lastSoundEnd = 0;
+            timings.forEach(function(timing) {
+                end += Math.abs(timing);
+                if (timing > 0) {
+                    lastSoundEnd = end;
+                }
+            });
+            length = Math.max(length, lastSoundEnd + this.timbre.getSounderLength(false));
+        }
+        var offlineCtx = new offlineAudioContextClass(1, this.sampleRate * length / 1000, this.sampleRate);
         var t = 0;
-        var oscillator;
+        var oscillator, noteGain;
         var duration;
         for (var i = 0; i < timings.length; i++) {
             duration = Math.abs(timings[i]) / 1000;
-            if (timings[i] > 0) {  // -ve timings are silence
+            if (timings[i] > 0 && this.timbre.isSounder) {
+                this.timbre.scheduleSounder(offlineCtx, offlineCtx.destination, t, true, frequencies[i]);
+                this.timbre.scheduleSounder(offlineCtx, offlineCtx.destination, t + duration, false, frequencies[i]);
+            } else if (timings[i] > 0) {  // -ve timings are silence
                 oscillator = offlineCtx.createOscillator();
-                oscillator.type = 'sine';
-                oscillator.frequency.setValueAtTime(this.frequency, t);
+                this.timbre.setupOscillator(oscillator, offlineCtx);
+                oscillator.frequency.setValueAtTime(frequencies[i], t);
                 oscillator.start(t);
                 oscillator.stop(t + duration);
-                oscillator.connect(gainNode);
+                noteGain = offlineCtx.createGain();
+                this.envelope.schedule(noteGain.gain, t, duration);
+                oscillator.connect(noteGain);
+                noteGain.connect(offlineCtx.destination);
             }
             t += duration;
         }
@@ -10,8 +10,10 @@ Unless required by applicable law or agreed to in writing, software distributed
 See the Licence for the specific language governing permissions and limitations under the Licence.
 */
 
+import * as Morse from './morse-pro';
 import * as WPM from './morse-pro-wpm';
 import MorseMessage from './morse-pro-message';
+import * as TimingEvents from './morse-pro-timing-events';
 
 /**
  * Class to create the on/off timings needed by e.g. sound generators. Timings are in milliseconds; "off" timings are negative.
@@ -34,6 +36,27 @@ export default class MorseCW extends MorseMessage {
         this.wpm = wpm;
         /** @type {number} */
         this.fwpm = fwpm;
+        /**
+         * The standard word which the speeds use: 'PARIS' or 'CODEX' (see morse-pro-wpm).
+         * @type {string}
+         */
+        this.standard = 'PARIS';
+        /**
+         * The weighting as a percentage (see WPM.weightingDelta): above 50 the sounds are longer and the spaces shorter, keeping the speed the same.
+         * @type {number}
+         */
+        this.weighting = 50;
+        /**
+         * The dah:dit ratio, e.g. 3.3 for a heavier sound. Other alphabets (e.g. American Morse) have their dashes scaled by the same amount.
+         * @type {number}
+         */
+        this.dahRatio = 3;
+        /**
+         * How the spaces are slowed down to give the Farnsworth speed: 'farnsworth' (spaces between characters and words),
+         * 'wordsworth' (only spaces between words) or {charSpace: number, wordSpace: number} to give the lengths in ms (see WPM.spaceLength).
+         * @type {string|Object}
+         */
+        this.spacing = 'farnsworth';
     }
 
     /** 
@@ -70,24 +93,74 @@ export default class MorseCW extends MorseMessage {
      * Get the length of the space between words in ms.
      * @type {number} */
     get wordSpace() {
-        return WPM.wordSpace(this._wpm, this._fwpm);
+        var units = Morse.getAlphabet(this.alphabet).timing['/'];
+        return WPM.spaceLength(units, '/', this._wpm, this._fwpm, this.spacing, this.standard);
     }
 
     /**
      * Return an array of millisecond timings.
      * With the Farnsworth method, the morse characters are played at one
-     * speed and the spaces between characters at a slower speed.
+     * speed and the spaces between characters at a slower speed (see the spacing field for other schemes).
+     * The length of each element comes from the timing of the alphabet (so American Morse has long dashes and spaces inside characters).
+     * Speed changes and pauses in the markup of the message are followed.
      * @return {number[]}
      */
     getTimings() {
-        return MorseCW.getTimingsGeneral(
-            WPM.ditLength(this._wpm),
-            WPM.dahLength(this._wpm),
-            WPM.ditSpace(this._wpm),
-            WPM.charSpace(this._wpm, this._fwpm),
-            WPM.wordSpace(this._wpm, this._fwpm),
-            this.morse
-        );
+        return MorseCW.timingsAndIndices(this.getLengths(), this.morse, this.getChanges()).timings;
+    }
+
+    /**
+     * Get the length in milliseconds of each element of the morse, from the timing of the alphabet, the dah ratio, the weighting and the spacing scheme.
+     * @param {number} [wpm=this.wpm]
+     * @param {number} [fwpm=this.fwpm]
+     * @return {Object}
+     * @access private
+     */
+    getLengths(wpm = this._wpm, fwpm = this._fwpm) {
+        var timing = Morse.getAlphabet(this.alphabet).timing;
+        var delta = WPM.weightingDelta(wpm, this.weighting, this.standard);
+        var lengths = {};
+        for (var element in timing) {
+            var units = timing[element] * (element === '-' ? this.dahRatio / 3 : 1);
+            if (element === ' ' || element === '/') {
+                lengths[element] = WPM.spaceLength(units, element, wpm, fwpm, this.spacing, this.standard) - delta;
+            } else if (element === '+' || element === '~') {
+                lengths[element] = WPM.elementLength(units, wpm, wpm, this.standard) - delta;
+            } else {
+                lengths[element] = WPM.elementLength(units, wpm, wpm, this.standard) + delta;
+            }
+        }
+        return lengths;
+    }
+
+    /**
+     * Work out the element lengths and pauses to use from each point in the morse, following the wpm, fwpm and pause markup.
+     * Changing the wpm changes the Farnsworth speed as well, unless it was slower than the new speed already.
+     * @return {{morseOffset: number, lengths: Object, pause: number}[]}
+     * @access private
+     */
+    getChanges() {
+        var wpm = this._wpm;
+        var fwpm = this._fwpm;
+        return this.markup.map(function(m) {
+            var pause = 0;
+            switch (m.name) {
+                case 'wpm':
+                    if (fwpm === wpm || fwpm > m.value) {
+                        fwpm = m.value;
+                    }
+                    wpm = m.value;
+                    break;
+                case 'fwpm':
+                    fwpm = m.value;
+                    wpm = Math.max(wpm, fwpm);
+                    break;
+                case 'pause':
+                    pause = m.value;
+                    break;
+            }
+            return {morseOffset: m.morseOffset, lengths: this.getLengths(wpm, fwpm), pause: pause};
+        }, this);
     }
 
     /**
@@ -102,31 +175,176 @@ export default class MorseCW extends MorseMessage {
      * @return {number[]}
      */
     static getTimingsGeneral(dit, dah, ditSpace, charSpace, wordSpace, morse) {
+        return MorseCW.getTimingsFromLengths({
+            '.': dit,
+            '-': dah,
+            '+': ditSpace,
+            ' ': charSpace,
+            '/': wordSpace
+        }, morse);
+    }
+
+    /**
+     * Return an array of millisecond timings for morse using any set of elements.
+     * A '+' space is put between consecutive sounds. The spaces ' ', '/' and '~' (the space inside some American Morse characters) give negative timings, all other elements are sounds.
+     * @param {Object} lengths - dictionary of each element to its length in milliseconds, e.g. {'.': 60, '-': 180, '+': 60, ' ': 180, '/': 420}
+     * @param {string} morse - the (canonical) morse code string
+     * @return {number[]}
+     */
+    static getTimingsFromLengths(lengths, morse) {
+        return MorseCW.timingsAndIndices(lengths, morse).timings;
+    }
+
+    /**
+     * Work out the timings and which timing each character of the morse starts at.
+     * The spaces either side of a word separator (' / ') are not timed separately from it, and a pause is joined to the space before it.
+     * @param {Object} lengths - see getTimingsFromLengths
+     * @param {string} morse - the (canonical) morse code string
+     * @param {{morseOffset: number, lengths: Object, pause: number}[]} [changes=[]] - new lengths to use, and silence to add, from points in the morse
+     * @return {{timings: number[], indices: number[], elements: Object[]}} indices has the index in the timings of each character in the morse (and of the end of the morse);
+     * elements has each element timed (including the pauses, which are not joined to anything here) as {element: string, morseOffset: number, duration: number}
+     * @access private
+     */
+    static timingsAndIndices(lengths, morse, changes = []) {
         //console.log("Morse: " + morse);
-        morse = morse.replace(/ \/ /g, '/');  // this means that a space is only used for inter-character
-        morse = morse.replace(/([\.\-])(?=[\.\-])/g, "$1+");  // put a + in between all dits and dahs
         var times = [];
+        var indices = [];
+        var elements = [];
+        var lastWasSound = false;
+        var next = 0;
+        var silence = function(length, element, offset) {
+            if (times[times.length - 1] < 0) {
+                times[times.length - 1] -= length;
+            } else {
+                times.push(-length);
+            }
+            elements.push({element: element, morseOffset: offset, duration: length});
+            lastWasSound = false;
+        };
+        var applyChanges = function(offset) {
+            for (; next < changes.length && changes[next].morseOffset <= offset; next++) {
+                lengths = changes[next].lengths;
+                if (changes[next].pause > 0) {
+                    silence(changes[next].pause, undefined, offset);
+                }
+            }
+        };
         for (var i = 0; i < morse.length; i++) {
-            switch (morse[i]) {
-                case '.':
-                    times.push(dit);
-                    break;
-                case '-':
-                    times.push(dah);
-                    break;
-                case '+':
-                    times.push(-ditSpace);
-                    break;
-                case " ":
-                    times.push(-charSpace);
-                    break;
-                case "/":
-                    times.push(-wordSpace);
-                    break;
+            var c = morse[i];
+            applyChanges(i);
+            indices.push(times.length);
+            if (lengths[c] === undefined) {
+                continue;
+            }
+            if (c === ' ' && ((morse[i - 1] === '/' && morse[i - 2] === ' ') || (morse[i + 1] === '/' && morse[i + 2] === ' '))) {
+                continue;  // only a space between characters is timed as a space
+            }
+            if (c === ' ' || c === '/' || c === '~') {
+                silence(lengths[c], c, i);
+            } else {
+                if (lastWasSound) {
+                    times.push(-lengths['+']);  // the space between dits and dahs
+                    elements.push({element: '+', morseOffset: i, duration: lengths['+']});
+                    indices[i]++;
+                }
+                times.push(lengths[c]);
+                elements.push({element: c, morseOffset: i, duration: lengths[c]});
+                lastWasSound = true;
             }
         }
+        applyChanges(morse.length);
+        indices.push(times.length);
         //console.log("Timings: " + times);
-        return times;
+        return {timings: times, indices: indices, elements: elements};
+    }
+
+    /**
+     * Get the timings as events which say what each sound or silence is and which character and word it belongs to (see TimingEvents.TimingEvent).
+     * Unlike getTimings, a pause from the markup is a separate event from the space before it; use TimingEvents.toTimings to get the signed timings.
+     * @return {Object[]} the events
+     */
+    getTimingEvents() {
+        var morse = this.morse;
+        var message = this.message;
+        var spans = this.spans;
+        var startTime = 0;
+        var wordIndex = 0;
+        var counted = 0;  // how much of the morse has been searched for word spaces
+        return MorseCW.timingsAndIndices(this.getLengths(), morse, this.getChanges()).elements.map(function(e) {
+            for (; counted < e.morseOffset; counted++) {
+                if (morse[counted] === '/') {
+                    wordIndex++;
+                }
+            }
+            var span = spans.find(function(s) {
+                return s.morseOffset <= e.morseOffset && e.morseOffset < s.morseOffset + s.morseLength && s.messageLength > 0;
+            });
+            var event = {
+                kind: e.element === undefined ? 'pause' : TimingEvents.getKind(e.element),
+                element: e.element,
+                duration: e.duration,
+                startTime: startTime,
+                character: undefined,
+                messageOffset: undefined,
+                wordIndex: wordIndex
+            };
+            if (span !== undefined && e.element !== undefined && e.element !== ' ' && e.element !== '/') {
+                event.character = message.substr(span.messageOffset, span.messageLength);
+                event.messageOffset = span.messageOffset;
+            }
+            startTime += e.duration;
+            return event;
+        });
+    }
+
+    /**
+     * Get the spans of the last translation (see Morse.Span) with the timings of each one added:
+     * "timingStart" and "timingEnd" are the range of indices in the array returned by getTimings (timingEnd is exclusive),
+     * and "startTime" and "endTime" are in milliseconds from the start of the message.
+     * @return {Object[]}
+     */
+    getSpans() {
+        var timings = this.getTimings();
+        var indices = MorseCW.timingsAndIndices(this.getLengths(), this.morse, this.getChanges()).indices;
+        var times = [0];
+        for (var i = 0; i < timings.length; i++) {
+            times.push(times[i] + Math.abs(timings[i]));
+        }
+        return this.spans.map(function(span) {
+            var ret = {};
+            for (var key in span) {
+                ret[key] = span[key];
+            }
+            ret.timingStart = indices[span.morseOffset];
+            ret.timingEnd = indices[span.morseOffset + span.morseLength];
+            ret.startTime = times[ret.timingStart];
+            ret.endTime = times[ret.timingEnd];
+            return ret;
+        });
+    }
+
+    /**
+     * Get the span which is sounding at a particular time, e.g. to highlight the character being played.
+     * The space between characters is not part of any span, so during it the span before is given.
+     * @param {number} time - milliseconds from the start of the message
+     * @return {Object} the span (see getSpans) or undefined if the time is outside the message
+     */
+    getSpanAt(time) {
+        if (time < 0 || time >= this.getDuration()) {
+            return undefined;
+        }
+        var spans = this.getSpans();
+        var ret = spans.find(function(span) {
+            return span.startTime <= time && time < span.endTime;
+        });
+        if (ret === undefined) {
+            spans.forEach(function(span) {
+                if (span.startTime <= time) {
+                    ret = span;
+                }
+            });
+        }
+        return ret;
     }
 
     /**
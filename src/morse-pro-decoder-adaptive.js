@@ -15,6 +15,8 @@ import MorseDecoder from './morse-pro-decoder';
 
 /**
  * Class to convert from timings to Morse code. Adapts to changing speed.
+ * With Wordsworth spacing (see MorseDecoder.spacing) the length of the spaces between words is adapted to as well;
+ * a space more than twice as long as expected counts as twice as long, so that a pause only changes the speed a little.
  *
  * @example
  * var messageCallback = function(data) {
@@ -42,6 +44,7 @@ export default class MorseAdaptiveDecoder extends MorseDecoder {
         this.bufferSize = bufferSize;
         this.ditLengths = [];
         this.fditLengths = [];
+        this.wordDitLengths = [];
         this.lockSpeed = false;
     }
 
@@ -55,29 +58,37 @@ export default class MorseAdaptiveDecoder extends MorseDecoder {
         // adapt!
         var dit;
         var fdit;
+        var wordDit;
 
         switch (character) {
-            case '.':
-                dit = duration;
-                break;
-            case '-':
-                dit = duration / 3;
+            case ' ':
+                fdit = (duration + this._delta) / this._units[' '];
                 break;
             case '':
-                dit = duration;
-                break;
-            case ' ':
-                fdit = duration / 3;
+                dit = (duration + this._delta) / this._units['+'];
                 break;
             // enable this if the decoder can be made to ignore extra long pauses
             // case '/':
-            //     fdit = duration / 7;
+            //     fdit = (duration + this._delta) / this._units['/'];
             //     break;
+            case '/':
+                if (this.spacing === 'wordsworth') {
+                    // only word spaces are stretched so they give the Farnsworth speed
+                    wordDit = (Math.min(duration, 2 * this._units['/'] * this._wordDitLen) + this._delta) / this._units['/'];
+                }
+                break;
+            case '~':
+                dit = (duration + this._delta) / this._units['~'];  // the space inside an American Morse character
+                break;
+            default:
+                dit = (duration - this._delta) / this._units[character];  // a sound
         }
         this.ditLengths.push(dit);
         this.fditLengths.push(fdit);
+        this.wordDitLengths.push(wordDit);
         this.ditLengths = this.ditLengths.slice(-this.bufferSize);
         this.fditLengths = this.fditLengths.slice(-this.bufferSize);
+        this.wordDitLengths = this.wordDitLengths.slice(-this.bufferSize);
 
         if (this.lockSpeed) { return; }
 
@@ -85,6 +96,8 @@ export default class MorseAdaptiveDecoder extends MorseDecoder {
         var denom = 0;
         var fSum = 0;
         var fDenom = 0;
+        var wordSum = 0;
+        var wordDenom = 0;
         var weight;
 
         for (var i = 0; i < this.bufferSize; i++) {
@@ -99,6 +112,14 @@ export default class MorseAdaptiveDecoder extends MorseDecoder {
                 fSum += this.fditLengths[i] * weight;
                 fDenom += weight;
             }
+            if (this.wordDitLengths[i] !== undefined) {
+                wordSum += this.wordDitLengths[i] * weight;
+                wordDenom += weight;
+            }
+        }
+
+        if (wordDenom) {
+            this._wordDitLen = wordSum / wordDenom;  // used when the dit lengths are set below
         }
 
         if (fDenom) {
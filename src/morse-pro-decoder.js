@@ -11,6 +11,9 @@ See the Licence for the specific language governing permissions and limitations
 
 import * as Morse from './morse-pro';
 import * as WPM from './morse-pro-wpm';
+import * as Abbreviations from './morse-pro-abbreviations';
+import * as CutNumbers from './morse-pro-cut-numbers';
+import * as Tree from './morse-pro-tree';
 
 /**
  * Class to convert from timings to Morse code.
@@ -35,9 +38,18 @@ export default class MorseDecoder {
      * @param {number} [wpm=20] - The speed of the Morse in words per minute.
      * @param {number} [fwpm=wpm] - The Farnsworth speed of the Morse in words per minute.
      * @param {function()} messageCallback - Callback executed with {message: string, timings: number[], morse: string} when decoder buffer is flushed (every character).
+     *     If the fuzzy field is set then it also has "alternatives", a list with the ranked alternatives for each part of the morse which could not be decoded.
+     *     It also has "annotations": the abbreviations, Q-codes and prosigns completed by the latest message (see morse-pro-abbreviations), with offsets into the whole decoded message.
+     *     If the cutNumbers field is set then it also has "substitutions": the changes made to the message already given, as {offset: number, from: string, to: string} with offsets into the whole decoded message.
      * @param {function()} speedCallback - Callback executed with {wpm: number, fwpm: number} if the wpm or fwpm speed changes. The speed in this class doesn't change by itself, but e.g. the fwpm can change if wpm is changed. Returned dictionary has keys 'fwpm' and 'wpm'.
     */
     constructor(wpm = 20, fwpm = wpm, messageCallback = undefined, speedCallback = undefined) {
+        this._alphabet = undefined;
+        this._standard = 'PARIS';
+        this._weighting = 50;
+        this._dahRatio = 3;
+        this._spacing = 'farnsworth';
+        this._wordDitLen = undefined;  // dit length used for spaces between words
         this._wpm = undefined;
         this._fwpm = undefined;  // farnsworth speed
         this._ditLen = undefined;
@@ -56,14 +68,167 @@ export default class MorseDecoder {
         this.noiseThreshold = 1;  // a duration <= noiseThreshold is assumed to be an error
         this.morse = "";  // string of morse
         this.message = "";  // string of decoded message
+        /**
+         * If true (or the number of alternatives wanted) then the messageCallback is also given the most likely "alternatives" for any morse which cannot be decoded (see morse-pro-fuzzy).
+         * @type {boolean|number}
+         */
+        this.fuzzy = false;
+        /**
+         * If set then cut numbers in exchanges (e.g. '5NN') are decoded as digits, using these rules (see morse-pro-cut-numbers).
+         * Letters in a word are only changed once a digit is decoded in it, so the message field may change retroactively (e.g. 'TT' becomes '00' when a '1' follows);
+         * the messageCallback is then given these changes as "substitutions".
+         * @type {boolean|string|Object}
+         */
+        this.cutNumbers = false;
+        /**
+         * If true then the Morse is an exchange of numeric fields, so cut numbers are decoded even in words with no digits (e.g. 'ENN TTA' as '599 001').
+         * @type {boolean}
+         */
+        this.exchange = false;
     }
 
     /**
+     * Name of the alphabet being decoded (see Morse.registerAlphabet); undefined means the selected alphabet.
+     * It changes when a prosign which switches alphabet (e.g. '<DO>' for Wabun) is decoded.
+     * The timing of the alphabet sets the thresholds, so e.g. American Morse is decoded with its long dashes and spaces inside characters.
+     * @type {string}
+     */
+    set alphabet(name) {
+        this._alphabet = name;
+        if (this._wpm !== undefined) {
+            this.updateSpaceLengths();
+        }
+        this.updateThresholds();
+    }
+
+    get alphabet() {
+        return this._alphabet;
+    }
+
+    /**
+     * The standard word which the speeds use: 'PARIS' or 'CODEX' (see morse-pro-wpm).
+     * Changing it keeps the speed in WPM the same, so the dit length changes.
+     * @type {string}
+     */
+    set standard(standard) {
+        this._standard = standard;
+        this.wpm = this._wpm;
+    }
+
+    get standard() {
+        return this._standard;
+    }
+
+    /**
+     * How the spaces of the Morse being decoded are slowed down to give the Farnsworth speed: 'farnsworth', 'wordsworth' or
+     * {charSpace: number, wordSpace: number} giving the lengths in ms (see WPM.spaceLength).
+     * @type {string|Object}
+     */
+    set spacing(spacing) {
+        this._spacing = spacing;
+        this.updateSpaceLengths();
+        this.updateThresholds();
+    }
+
+    get spacing() {
+        return this._spacing;
+    }
+
+    /**
+     * Work out the dit lengths used for spaces between characters (_fditLen) and words (_wordDitLen) from the speed and spacing scheme.
+     * @access private
+     */
+    updateSpaceLengths() {
+        var timing = Morse.getAlphabet(this._alphabet).timing;
+        this._fditLen = WPM.spaceLength(timing[' '], ' ', this._wpm, this._fwpm, this._spacing, this._standard) / timing[' '];
+        this._wordDitLen = WPM.spaceLength(timing['/'], '/', this._wpm, this._fwpm, this._spacing, this._standard) / timing['/'];
+    }
+
+    /**
+     * Work out the Farnsworth speed from the dit lengths, using the spacing scheme.
+     * With Farnsworth spacing the word spaces follow the character spaces; explicit spacing does not change the speed.
+     * @access private
+     */
+    updateFwpm() {
+        if (this._spacing === 'farnsworth') {
+            this._wordDitLen = this._fditLen;
+            this._fwpm = WPM.fwpm(this._wpm, this._fditLen / this._ditLen, this._standard);
+        } else if (this._spacing === 'wordsworth') {
+            this._fwpm = Math.min(WPM.wordsworthFwpm(this._ditLen, this._wordDitLen, this._standard), this._wpm);
+        }
+    }
+
+    /**
+     * The weighting of the Morse being decoded as a percentage (see WPM.weightingDelta). 50 is normal.
+     * @type {number}
+     */
+    set weighting(weighting) {
+        this._weighting = weighting;
+        this.updateThresholds();
+    }
+
+    get weighting() {
+        return this._weighting;
+    }
+
+    /**
+     * The dah:dit ratio of the Morse being decoded (normally 3).
+     * @type {number}
+     */
+    set dahRatio(ratio) {
+        this._dahRatio = ratio;
+        this.updateThresholds();
+    }
+
+    get dahRatio() {
+        return this._dahRatio;
+    }
+
+    /**
+     * Work out the durations which separate each type of sound and space, using the timing of the alphabet.
+     * The thresholds are half-way between the expected lengths, taking the dah ratio and weighting into account.
      * @access private
      */
     updateThresholds() {
-        this._ditDahThreshold = ((1 * this._ditLen) + (3 * this._ditLen)) / 2;
-        this._dahSpaceThreshold = ((3 * this._fditLen) + (7 * this._fditLen)) / 2;
+        if (this._ditLen === undefined) {
+            return;
+        }
+        var timing = Morse.getAlphabet(this._alphabet).timing;
+        var delta = this._ditLen * (this._weighting - 50) / 50;  // the sounds are longer (and spaces shorter) by this much
+        var sounds = [];
+        var spaces = [];
+        this._units = {};  // length of each element in dits (or Farnsworth dits for spaces between characters and words)
+        this._delta = delta;
+        for (var element in timing) {
+            var units = timing[element] * (element === '-' ? this._dahRatio / 3 : 1);
+            this._units[element] = units;
+            switch (element) {
+                case ' ':
+                    spaces.push({character: element, length: units * this._fditLen - delta});
+                    break;
+                case '/':
+                    spaces.push({character: element, length: units * this._wordDitLen - delta});
+                    break;
+                case '+':
+                    spaces.push({character: '', length: units * this._ditLen - delta});
+                    break;
+                case '~':
+                    spaces.push({character: element, length: units * this._ditLen - delta});
+                    break;
+                default:
+                    sounds.push({character: element, length: units * this._ditLen + delta});
+            }
+        }
+        this._soundThresholds = thresholds(sounds);
+        this._spaceThresholds = thresholds(spaces);
+        this._ditDahThreshold = this._soundThresholds[0].threshold;
+        for (var i = 1; i < this._spaceThresholds.length; i++) {
+            if (this._spaceThresholds[i].character === ' ') {
+                this._charSpaceThreshold = this._spaceThresholds[i - 1].threshold;
+            } else if (this._spaceThresholds[i].character === '/') {
+                this._dahSpaceThreshold = this._spaceThresholds[i - 1].threshold;
+            }
+        }
     }
 
     /**
@@ -79,8 +244,8 @@ export default class MorseDecoder {
         if (this._fwpm === undefined || this._fwpm > wpm) {
             this._fwpm = this._wpm;
         }
-        this._ditLen = WPM.ditLength(this._wpm);
-        this._fditLen = WPM.fditLength(this._wpm, this._fwpm);
+        this._ditLen = WPM.ditLength(this._wpm, this._standard);
+        this.updateSpaceLengths();
         this.updateThresholds();
         this.speedCallback({wpm: this.wpm, fwpm: this.fwpm});
     }
@@ -102,8 +267,8 @@ export default class MorseDecoder {
         if (this._wpm === undefined || this._wpm < fwpm) {
             this.wpm = fwpm;
         }
-        this._ditLen = WPM.ditLength(this._wpm);
-        this._fditLen = WPM.fditLength(this._wpm, this._fwpm);
+        this._ditLen = WPM.ditLength(this._wpm, this._standard);
+        this.updateSpaceLengths();
         this.updateThresholds();
         this.speedCallback({wpm: this.wpm, fwpm: this.fwpm});
     }
@@ -122,8 +287,8 @@ export default class MorseDecoder {
         if (this._fditLen === undefined || this._fditLen < this._ditLen) {
             this._fditLen = this._ditLen;
         }
-        this._wpm = WPM.wpm(this._ditLen);
-        this._fwpm = WPM.fwpm(this._wpm, this._fditLen / this._ditLen);
+        this._wpm = WPM.wpm(this._ditLen, this._standard);
+        this.updateFwpm();
         this.updateThresholds();
     }
 
@@ -141,8 +306,8 @@ export default class MorseDecoder {
         if (this._ditLen === undefined || this._ditLen > this._fditLen) {
             this._ditLen = this._fditLen;
         }
-        this._wpm = WPM.wpm(this._ditLen);
-        this._fwpm = WPM.fwpm(this._wpm, this._fditLen / this._ditLen);
+        this._wpm = WPM.wpm(this._ditLen, this._standard);
+        this.updateFwpm();
         this.updateThresholds();
     }
 
@@ -178,8 +343,7 @@ export default class MorseDecoder {
         this.unusedTimes.push(duration);
 
         // If we have just received a character space or longer then flush the timings
-        if (-duration >= this._ditDahThreshold) {
-            // TODO: if fwpm != wpm then the ditDahThreshold only applies to sound, not spaces so this is slightly wrong (need another threshold)
+        if (-duration >= this._charSpaceThreshold) {
             this.flush();
         }
     }
@@ -187,6 +351,7 @@ export default class MorseDecoder {
     /**
      * Process the buffer of unused timings, converting them into Morse and converting the generated Morse into a message.
      * Should be called only when a character space has been reached (or the message is at an end).
+     * Keeps track of the alphabet so that e.g. Wabun code following a '<DO>' prosign is decoded as kana.
      * Will call the messageCallback with the latest timings, morse (dots and dashes) and message.
      */
     flush() {
@@ -212,60 +377,125 @@ export default class MorseDecoder {
 
         var u = this.unusedTimes;
         var m = this.timings2morse(this.unusedTimes);
-        var t = Morse.morse2text(m).message;  // will be '#' if there's an error
+        var d = Morse.morse2text(m, true, {alphabet: this.alphabet, fuzzy: this.fuzzy});
+        var t = d.message;  // will be '#' if there's an error
+        if (d.alphabet !== Morse.getAlphabet(this.alphabet).name) {
+            // more is expected after a prosign which switches alphabet, so it is left out of the message
+            var switched = Morse.getAlphabet(this.alphabet).switches[m.replace(/[\s/]/g, '')];
+            if (switched !== undefined) {
+                t = t.replace(switched.prosign, '');
+            }
+            this.alphabet = d.alphabet;
+        }
+        var previousLength = this.message.length;
+        var substitutions = [];
         this.morse += m;
         this.message += t;
+        if (this.cutNumbers) {
+            var start = this.message.lastIndexOf(' ', previousLength - 1) + 1;  // the start of the word which may be a numeric field
+            var cut = CutNumbers.decode(this.message.slice(start), this.cutNumbers, this.exchange);
+            this.message = this.message.slice(0, start) + cut.text;
+            t = this.message.slice(previousLength);
+            cut.substitutions.forEach(function(substitution) {
+                substitution.offset += start;
+                if (substitution.offset < previousLength) {
+                    substitutions.push(substitution);
+                }
+            });
+        }
         if (last < 0) {
             this.unusedTimes = [last];  // put the space back on the end in case there is more quiet to come
         } else {
             this.unusedTimes = [];
         }
-        this.messageCallback({
+        var data = {
             timings: u,
             morse: m,
-            message: t
+            message: t,
+            annotations: this.completedAnnotations(previousLength)
+        };
+        if (this.cutNumbers) {
+            data.substitutions = substitutions;
+        }
+        if (this.fuzzy) {
+            data.alternatives = d.errors.map(function(error) {
+                return error.alternatives;
+            });
+        }
+        this.messageCallback(data);
+    }
+
+    /**
+     * Find the abbreviations in the message which have been completed since it was a certain length.
+     * A word is complete when the space after it has been decoded, a prosign as soon as it is decoded.
+     * @param {number} previousLength - the length of the message before the latest characters were added
+     * @return {Object[]} the annotations (see morse-pro-abbreviations)
+     * @access private
+     */
+    completedAnnotations(previousLength) {
+        var message = this.message;
+        var start = message.lastIndexOf(' ', previousLength - 1) + 1;  // the start of the last word which could now be complete
+        return Abbreviations.annotate(message.slice(start)).map(function(annotation) {
+            annotation.offset += start;
+            return annotation;
+        }).filter(function(annotation) {
+            var end = annotation.offset + annotation.length;
+            if (annotation.token[0] === '<') {
+                return end > previousLength;
+            }
+            var space = message.slice(end).search(/\s/);  // punctuation may come between the word and the space
+            return space !== -1 && end + space >= previousLength;
         });
     }
 
     /**
      * Convert from millisecond timings to dots and dashes.
      * @param {number[]} times - array of millisecond timings, +ve numbers representing a signal, -ve representing a space.
-     * @return {string} - the dots and dashes as a string.
+     * @return {string} - the dots and dashes (and any other elements of the alphabet, e.g. '~') as a string.
      * @access private
      */
     timings2morse(times) {
         var ditdah = "";
-        var c;
-        var d;
-
+        var elements = this.classifyTimings(times);
         for (var i = 0; i < times.length; i++) {
-            d = times[i];
-            if (d > 0) {
-                if (d < this._ditDahThreshold) {
-                    c = ".";
-                } else {
-                    c = "-";
-                }
-            } else {
-                d = -d;
-                if (d < this._ditDahThreshold) {
-                    c = "";
-                } else if (d < this._dahSpaceThreshold) {
-                    c = " ";
-                } else {
-                    c = "/";
-                }
-            }
-            this.addDecode(d, c);
-            ditdah = ditdah + c;
+            this.addDecode(Math.abs(times[i]), elements[i]);
+            ditdah = ditdah + elements[i];
         }
         return ditdah;
     }
 
+    /**
+     * Work out the element for each timing, without recording anything.
+     * @param {number[]} times - array of millisecond timings, +ve numbers representing a signal, -ve representing a space.
+     * @return {string[]} the element for each timing, e.g. '.', '-', '' (the space between dits and dahs), ' ' or '/'
+     * @access private
+     */
+    classifyTimings(times) {
+        var soundThresholds = this._soundThresholds;
+        var spaceThresholds = this._spaceThresholds;
+        return times.map(function(d) {
+            return d > 0 ? classify(d, soundThresholds) : classify(-d, spaceThresholds);
+        });
+    }
+
+    /**
+     * The characters which are still possible given the timings received since the last complete character, nearest first (see morse-pro-tree).
+     * Useful to show candidate letters before a character is complete.
+     * @type {{morse: string, text: string}[]}
+     */
+    get candidates() {
+        var morse = this.classifyTimings(this.unusedTimes).join('');
+        morse = morse.slice(Math.max(morse.lastIndexOf(' '), morse.lastIndexOf('/')) + 1);
+        if (morse === '') {
+            return [];
+        }
+        return Tree.candidates(morse, this.alphabet);
+    }
+
     /**
      * Store the timing and the corresponding decoded character element.
      * @param {number} duration - the millisecond duration (always +ve).
-     * @param {string} character - the corresponding character element [.-/ ].
+     * @param {string} character - the corresponding character element, e.g. [.-/ ] ('' for the space between dits and dahs).
      * @access private
      */
     addDecode(duration, character) {
@@ -329,3 +559,34 @@ export default class MorseDecoder {
     messageCallback(jsonData) { }
     speedCallback(jsonData) { }
 }
+
+/**
+ * Sort the expected elements by length and work out the threshold between each one and the next.
+ * @param {Object[]} elements - list of {character, length}
+ * @return {Object[]} sorted list of {character, threshold} where any duration below the threshold (and above the previous one) is that character
+ * @access private
+ */
+function thresholds(elements) {
+    elements.sort(function(a, b) { return a.length - b.length; });
+    return elements.map(function(element, i) {
+        var next = elements[i + 1];
+        return {
+            character: element.character,
+            threshold: next === undefined ? Infinity : (element.length + next.length) / 2
+        };
+    });
+}
+
+/**
+ * @param {number} duration - the (+ve) millisecond duration
+ * @param {Object[]} thresholds - as returned by thresholds()
+ * @return {string} the character element
+ * @access private
+ */
+function classify(duration, thresholds) {
+    var i = 0;
+    while (duration >= thresholds[i].threshold) {
+        i++;
+    }
+    return thresholds[i].character;
+}
@@ -0,0 +1,149 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+/**
+ * Rise shapes from 0 to 1 (the fall is the same shape reversed).
+ * @access private
+ */
+var shapesH = {
+    'linear': function(x) {
+        return x;
+    },
+    'raised-cosine': function(x) {
+        return 0.5 - 0.5 * Math.cos(Math.PI * x);
+    },
+    'blackman': function(x) {
+        return 0.42 - 0.5 * Math.cos(Math.PI * x) + 0.08 * Math.cos(2 * Math.PI * x);
+    }
+};
+
+/**
+ * Class for the keying envelope: how the tone rises at the start of each sound and falls at the end, to avoid key clicks.
+ * The rise and fall happen inside each sound so the timings are unchanged. It is used in the same way by MorseCWWave.getSample,
+ * MorseCWWave.getWAASample and MorsePlayerWAA so that they all sound the same.
+ *
+ * @example
+ * import MorseEnvelope from 'morse-pro-envelope';
+ * import MorseCWWave from 'morse-pro-cw-wave';
+ * var morseCWWave = new MorseCWWave();
+ * morseCWWave.envelope = new MorseEnvelope('blackman', 8);  // 8ms rise and fall
+ * morseCWWave.translate("abc");
+ * var sample = morseCWWave.getSample();
+ */
+export default class MorseEnvelope {
+    /**
+     * @param {string} [shape='raised-cosine'] - the shape of the rise and fall: 'linear', 'raised-cosine' or 'blackman'
+     * @param {number} [riseTime=5] - the rise time in ms (0 for hard keying)
+     * @param {number} [fallTime=riseTime] - the fall time in ms
+     */
+    constructor(shape = 'raised-cosine', riseTime = 5, fallTime = riseTime) {
+        /**
+         * The shape of the rise and fall: 'linear', 'raised-cosine' or 'blackman' (see getShapeNames).
+         * @type {string}
+         */
+        this.shape = shape;
+        /** @type {number} */
+        this.riseTime = riseTime;
+        /** @type {number} */
+        this.fallTime = fallTime;
+    }
+
+    /**
+     * Get the names of the shapes.
+     * @return {string[]}
+     */
+    static getShapeNames() {
+        return Object.keys(shapesH);
+    }
+
+    /**
+     * Get the gain partway through the rise.
+     * @param {number} x - how far through the rise, from 0 to 1
+     * @return {number} the gain, from 0 to 1
+     * @throws {Error} if the shape is unknown
+     */
+    shapeAt(x) {
+        var shape = shapesH[this.shape];
+        if (shape === undefined) {
+            throw new Error('Unknown envelope shape: "' + this.shape + '"');
+        }
+        return shape(Math.min(Math.max(x, 0), 1));
+    }
+
+    /**
+     * Get the rise and fall times for a sound. If the sound is too short for both then they are shortened in proportion.
+     * @param {number} duration - the length of the sound in ms
+     * @return {{rise: number, fall: number}} in ms
+     */
+    getRiseAndFall(duration) {
+        var scale = Math.min(1, duration / (this.riseTime + this.fallTime || 1));
+        return {rise: this.riseTime * scale, fall: this.fallTime * scale};
+    }
+
+    /**
+     * Get the gain at a time during a sound.
+     * @param {number} t - the time in ms from the start of the sound
+     * @param {number} duration - the length of the sound in ms
+     * @return {number} the gain, from 0 to 1
+     */
+    gainAt(t, duration) {
+        var edges = this.getRiseAndFall(duration);
+        if (t < edges.rise) {
+            return this.shapeAt(t / edges.rise);
+        }
+        if (t > duration - edges.fall) {
+            return this.shapeAt((duration - t) / edges.fall);
+        }
+        return 1;
+    }
+
+    /**
+     * Get the rise or fall as a list of gains, e.g. for AudioParam.setValueCurveAtTime.
+     * @param {boolean} [rising=true]
+     * @param {number} [points=64] - how many gains to give
+     * @return {Float32Array}
+     */
+    getCurve(rising = true, points = 64) {
+        var curve = new Float32Array(points);
+        for (var i = 0; i < points; i++) {
+            var x = i / (points - 1);
+            curve[i] = this.shapeAt(rising ? x : 1 - x);
+        }
+        return curve;
+    }
+
+    /**
+     * Schedule the envelope of a sound on a Web Audio API AudioParam (normally the gain of a GainNode between an oscillator and the output).
+     * The fall starts no earlier than the rise ends, as the Web Audio API throws an error if the curves overlap.
+     * @param {AudioParam} param
+     * @param {number} start - the start of the sound in seconds (in the time of the AudioContext)
+     * @param {number} duration - the length of the sound in seconds
+     */
+    schedule(param, start, duration) {
+        var edges = this.getRiseAndFall(duration * 1000);
+        var end = start + duration;
+        var riseEnd = start;
+        if (edges.rise > 0) {
+            riseEnd = start + edges.rise / 1000;
+            param.setValueCurveAtTime(this.getCurve(true), start, riseEnd - start);
+        } else {
+            param.setValueAtTime(1, start);
+        }
+        // when the edges meet, take the start of the fall from the end of the rise so that rounding cannot make them overlap
+        var fallStart = Math.max(riseEnd, end - edges.fall / 1000);
+        if (edges.fall > 0 && end > fallStart) {
+            param.setValueCurveAtTime(this.getCurve(false), fallStart, end - fallStart);
+        } else {
+            param.setValueAtTime(0, Math.max(riseEnd, end));
+        }
+    }
+}
@@ -0,0 +1,135 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+import * as WPM from './morse-pro-wpm';
+import * as TimingEvents from './morse-pro-timing-events';
+import * as Random from './morse-pro-util-random';
+
+/**
+ * Class to make machine-perfect timings sound as if they were sent by hand.
+ * The same seed always gives the same timings for the same input, so lessons can be reproduced.
+ *
+ * @example
+ * import MorseCWWave from 'morse-pro-cw-wave';
+ * import MorseFist from 'morse-pro-fist';
+ * var morseCWWave = new MorseCWWave();
+ * morseCWWave.translate("CQ DE M0XYZ");
+ * var fist = new MorseFist('lesson 1');
+ * fist.weight = 0.2;  // a heavy fist
+ * fist.bug = true;  // perfect dits, hand-made dahs
+ * var timings = fist.getTimings(morseCWWave);
+ * var sample = MorseCWWave.getSampleGeneral(timings, morseCWWave.frequency, morseCWWave.sampleRate);
+ */
+export default class MorseFist {
+    /**
+     * @param {number|string} [seed] - seed for the random variations (see morse-pro-util-random); random if not given
+     */
+    constructor(seed) {
+        /**
+         * The standard deviation of the length of each sound and space, as a fraction of its length.
+         * @type {number}
+         */
+        this.jitter = 0.05;
+        /**
+         * How heavy the fist is, as a fraction of a dit added to each sound and taken from the following space; negative for a light fist.
+         * @type {number}
+         */
+        this.weight = 0;
+        /**
+         * How much longer than normal the dahs are, e.g. 1.2 for dahs 20% longer.
+         * @type {number}
+         */
+        this.dahStretch = 1;
+        /**
+         * The extra standard deviation of the spaces between characters and words, as a fraction of their length.
+         * @type {number}
+         */
+        this.spaceJitter = 0;
+        /**
+         * Whether to send like a "bug" (semi-automatic key): dits and the spaces between them are perfect and only the dahs are sent by hand.
+         * @type {boolean}
+         */
+        this.bug = false;
+        /**
+         * The seed (see morse-pro-util-random); setting it starts the random variations again, and undefined gives a random seed.
+         * @type {number|string}
+         */
+        this.seed = seed;
+    }
+
+    /**
+     * Get the timings of a message as sent by this fist.
+     * @param {Object} morseCW - a MorseCW instance with a message translated
+     * @return {number[]} millisecond timings, +ve numbers representing sound, -ve for no sound (as from MorseCW.getTimings)
+     */
+    getTimings(morseCW) {
+        var ditLength = WPM.ditLength(morseCW.wpm, morseCW.standard);
+        return TimingEvents.toTimings(this.applyToEvents(morseCW.getTimingEvents(), ditLength));
+    }
+
+    /**
+     * Apply the fist to some signed timings.
+     * @param {number[]} timings - millisecond timings, +ve numbers representing sound, -ve for no sound
+     * @param {number} ditLength - the length of a dit in ms
+     * @param {number} [fditLength=ditLength] - the length of a Farnsworth dit in ms
+     * @return {number[]}
+     */
+    applyToTimings(timings, ditLength, fditLength = ditLength) {
+        return TimingEvents.toTimings(this.applyToEvents(TimingEvents.fromTimings(timings, ditLength, fditLength), ditLength));
+    }
+
+    /**
+     * Apply the fist to some timing events. Pauses are left alone.
+     * @param {Object[]} events - see TimingEvents.TimingEvent
+     * @param {number} ditLength - the length of a dit in ms
+     * @return {Object[]} new events, with the durations and start times changed
+     */
+    applyToEvents(events, ditLength) {
+        var startTime = 0;
+        var carry = 0;  // the weight taken from the space after a sound
+        return events.map(function(event, i) {
+            var duration = event.duration;
+            // a space at the start or end is not between two dits so is sent by hand
+            var perfect = this.bug && (event.kind === 'dit' || (event.kind === 'ditSpace' && i > 0 && i < events.length - 1 &&
+                events[i - 1].kind === 'dit' && events[i + 1].kind === 'dit'));
+            if (event.kind !== 'pause' && !perfect) {
+                if (event.kind === 'dah') {
+                    duration *= this.dahStretch;
+                }
+                var sd = this.jitter;
+                if (event.kind === 'charSpace' || event.kind === 'wordSpace') {
+                    sd += this.spaceJitter;
+                }
+                duration = Random.gaussian(this._random, duration, sd * duration);
+                if (TimingEvents.isSound(event)) {
+                    duration += this.weight * ditLength;
+                    carry = this.weight * ditLength;
+                } else {
+                    duration -= carry;
+                    carry = 0;
+                }
+            } else {
+                carry = 0;
+            }
+            var ret = {};
+            for (var key in event) {
+                ret[key] = event[key];
+            }
+            ret.duration = Math.max(duration, ditLength / 4);  // never so short that it cannot be heard
+            ret.startTime = startTime;
+            startTime += ret.duration;
+            return ret;
+        }, this);
+    }
+}
+
+Random.addSeed(MorseFist);
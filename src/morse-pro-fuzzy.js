@@ -0,0 +1,112 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+/**
+ * Guess what was meant by morse which does not translate, used by morse2text in fuzzy mode.
+ * Each guess has a cost: the number of elements added, removed or changed, plus one for each character space missed (a split) or sent by mistake (a merge).
+ * The score of a guess is 1 / (1 + cost), so an exact match would score 1.
+ *
+ * @example
+ * import * as Morse from 'morse-pro';
+ * var res = Morse.morse2text(".-.-.-.-.-.-", true, {fuzzy: 3});
+ * // res.errors[0].alternatives is e.g. [{text: "..", morse: ".-.-.- .-.-.-", score: 0.5, type: "split"}, ...]
+ */
+
+const MAX_EDITS = 2;  /** guesses needing more edits than this are not considered */
+
+/**
+ * Get the n-best interpretations of an untranslatable morse token.
+ * @param {string} token - the morse of the token, e.g. '.-.-.-.-.-.-'
+ * @param {Object} dict - dictionary of morse to text to choose from
+ * @param {number} [n=5] - the maximum number of alternatives to return
+ * @param {Object} [neighbours] - the morse tokens either side of the token, {previous: string, next: string}, to try merging with
+ * @return {{text: string, morse: string, score: number, type: string}[]} the alternatives, best first, each text only once (with its best guess);
+ *     type is 'edit', 'split' or 'merge' and morse is the morse that is assumed to have been meant
+ */
+export function alternatives(token, dict, n = 5, neighbours = {}) {
+    var guesses = [];
+    var add = function(text, morse, cost, type) {
+        guesses.push({text: text, morse: morse, cost: cost, type: type});
+    };
+
+    for (var morse in dict) {
+        if (morse === "/") {
+            continue;  // the word space is not a guess for a character
+        }
+        var d = editDistance(token, morse);
+        if (d > 0 && d <= MAX_EDITS) {
+            add(dict[morse], morse, d, 'edit');
+        }
+    }
+    for (var i = 1; i < token.length; i++) {
+        var first = token.slice(0, i);
+        var second = token.slice(i);
+        if (dict[first] !== undefined && dict[second] !== undefined) {
+            add(dict[first] + dict[second], first + " " + second, 1, 'split');
+        }
+    }
+    if (neighbours.previous !== undefined && dict[neighbours.previous + token] !== undefined) {
+        add(dict[neighbours.previous + token], neighbours.previous + token, 1, 'merge');
+    }
+    if (neighbours.next !== undefined && dict[token + neighbours.next] !== undefined) {
+        add(dict[token + neighbours.next], token + neighbours.next, 1, 'merge');
+    }
+
+    // for the same cost, prefer a missed or extra character space to a wrong element
+    var rank = {split: 0, merge: 0, edit: 1};
+    guesses.sort(function(a, b) {
+        return (a.cost - b.cost) || (rank[a.type] - rank[b.type]);
+    });
+    // the same text can be reached in more than one way: keep the best
+    var seen = {};
+    guesses = guesses.filter(function(guess) {
+        if (seen[guess.text]) {
+            return false;
+        }
+        seen[guess.text] = true;
+        return true;
+    });
+    return guesses.slice(0, n).map(function(guess) {
+        return {
+            text: guess.text,
+            morse: guess.morse,
+            score: 1 / (1 + guess.cost),
+            type: guess.type
+        };
+    });
+}
+
+/**
+ * The Levenshtein distance between two strings of morse elements: the number of elements which must be added, removed or changed to make one into the other.
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+export function editDistance(a, b) {
+    var previous = [];
+    var current;
+    for (var j = 0; j <= b.length; j++) {
+        previous.push(j);
+    }
+    for (var i = 1; i <= a.length; i++) {
+        current = [i];
+        for (j = 1; j <= b.length; j++) {
+            current.push(Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            ));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
@@ -58,9 +58,53 @@ export default class MorseKeyer {
 
         this.ditLen = WPM.ditLength(wpm);  // duration of dit in ms
         this.fditLen = WPM.fditLength(wpm, fwpm);  // TODO: finish fwpm bit
+        this._weighting = 50;
+        this._dahRatio = 3;
+        this._spacing = 'farnsworth';
         this._state = { playing: false };
     }
 
+    /**
+     * How the spaces are slowed down to give the Farnsworth speed: 'farnsworth', 'wordsworth' or {charSpace: number, wordSpace: number} in ms (see WPM.spaceLength).
+     * The decoder is told about it too.
+     * @type {string|Object}
+     */
+    set spacing(spacing) {
+        this._spacing = spacing;
+        this.decoder.spacing = spacing;
+    }
+
+    get spacing() {
+        return this._spacing;
+    }
+
+    /**
+     * The weighting as a percentage (see WPM.weightingDelta): above 50 the dits and dahs are longer and the spaces after them shorter.
+     * The decoder is told about it too.
+     * @type {number}
+     */
+    set weighting(weighting) {
+        this._weighting = weighting;
+        this.decoder.weighting = weighting;
+    }
+
+    get weighting() {
+        return this._weighting;
+    }
+
+    /**
+     * The dah:dit ratio (normally 3). The decoder is told about it too.
+     * @type {number}
+     */
+    set dahRatio(ratio) {
+        this._dahRatio = ratio;
+        this.decoder.dahRatio = ratio;
+    }
+
+    get dahRatio() {
+        return this._dahRatio;
+    }
+
     /**
      * @access: private
      */
@@ -70,6 +114,9 @@ export default class MorseKeyer {
         var beepLen;  // length of beep
         var silenceLen;  // length of silence
         var now = (new Date()).getTime();
+        var delta = WPM.weightingDelta(this.wpm, this._weighting);  // sounds are longer and the following silence shorter by this much
+        var charSpace = WPM.spaceLength(3, ' ', this.wpm, this.fwpm, this._spacing);
+        var wordSpace = WPM.spaceLength(7, '/', this.wpm, this.fwpm, this._spacing);
 
         if (this._state.lastTime !== undefined) {
             this.decoder.addTiming(this._state.lastTime - now);  // add how long since we've last been here as silence
@@ -80,11 +127,11 @@ export default class MorseKeyer {
             this._state.playing = false;  // make it interupterable: means that a new char can start whenever
             switch (this._state.spaceCounter) {
                 case 0:
-                    // we've already waited 1 ditLen, need to make it 1 fditLen plus 2 more
-                    silenceLen = (this.fditLen - this.ditLen) + (2 * this.fditLen);
+                    // we've already waited 1 ditLen (less the weighting), need to make it a character space
+                    silenceLen = charSpace - this.ditLen;
                     break;
                 case 1:
-                    silenceLen = (4 * this.fditLen);
+                    silenceLen = wordSpace - charSpace;
                     break;
                 case 2:
                     silenceLen = 0;
@@ -94,10 +141,10 @@ export default class MorseKeyer {
             this._state.spaceCounter++;
         } else {
             this._state.spaceCounter = 0;
-            beepLen = (ditOrDah ? 1 : 3) * this.ditLen;
+            beepLen = (ditOrDah ? 1 : this._dahRatio) * this.ditLen + delta;
             this._playTone(beepLen);
             this.decoder.addTiming(beepLen);
-            silenceLen = this.ditLen;  // while playing, assume we are inside a char and so wait 1 ditLen
+            silenceLen = this.ditLen - delta;  // while playing, assume we are inside a char and so wait 1 ditLen
         }
         this._state.lastTime = now + beepLen;
         if (beepLen + silenceLen) this.timer = setTimeout(this._check.bind(this), beepLen + silenceLen);  // check key state again after the dit or dah and after a dit-space
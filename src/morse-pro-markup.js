@@ -0,0 +1,57 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+/**
+ * Inline markup to change how a message is sent partway through it. Each command is written in square brackets:
+ *   [wpm=25] - the speed in words per minute
+ *   [fwpm=15] - the Farnsworth speed in words per minute
+ *   [pause=2000] - a silence in ms
+ *   [freq=700] - the frequency of the tone in Hz
+ * Square brackets which do not hold one of these commands are left in the text.
+ *
+ * @example
+ * import * as Markup from 'morse-pro-markup';
+ * Markup.parse("CQ [wpm=25]DE M0XYZ");
+ * // {text: "CQ DE M0XYZ", markup: [{offset: 3, name: 'wpm', value: 25}]}
+ */
+
+var unitsH = {
+    wpm: 'words per minute',
+    fwpm: 'words per minute',
+    pause: 'ms',
+    freq: 'Hz'
+};
+
+/**
+ * Remove the markup from some text.
+ * @param {string} text
+ * @return {{text: string, markup: {offset: number, name: string, value: number}[]}} the text without the markup and the commands, each with its offset in the new text
+ * @throws {Error} if a command has a value which is not a number (or is negative, or zero other than for a pause)
+ */
+export function parse(text) {
+    var ret = {text: "", markup: []};
+    var regex = new RegExp("\\[\\s*(" + Object.keys(unitsH).join('|') + ")\\s*=\\s*([^\\]]*)\\]", 'gi');
+    var pos = 0;
+    var match;
+    while ((match = regex.exec(text)) !== null) {
+        var name = match[1].toLowerCase();
+        var value = Number(match[2].trim());
+        if (match[2].trim() === '' || isNaN(value) || value < 0 || (value === 0 && name !== 'pause')) {
+            throw new Error('Bad value in markup: "' + match[0] + '"');
+        }
+        ret.text += text.slice(pos, match.index);
+        ret.markup.push({offset: ret.text.length, name: name, value: value});
+        pos = match.index + match[0].length;
+    }
+    ret.text += text.slice(pos);
+    return ret;
+}
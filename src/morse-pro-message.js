@@ -11,6 +11,8 @@ See the Licence for the specific language governing permissions and limitations
 */
 
 import * as Morse from './morse-pro';
+import * as Notation from './morse-pro-notation';
+import * as Markup from './morse-pro-markup';
 
 /**
  * Class for conveniently translating to and from Morse code.
@@ -27,6 +29,7 @@ import * as Morse from './morse-pro';
  * catch (ex) {
  *     // input will have errors surrounded by paired '#' signs
  *     // output will be best attempt at translation, with untranslatables replaced with '#'
+ *     // ex.errors (and morseMessage.errors) says where each error is in the input and output, e.g. to underline it
  *     morseMessage.clearError();  // remove all the '#'
  * }
  * if (morseMessage.inputWasMorse) {
@@ -39,35 +42,98 @@ export default class MorseMessage {
      */
     constructor(useProsigns = true) {
         this.useProsigns = useProsigns;
+        /**
+         * Name of the alphabet to translate with (see Morse.registerAlphabet); undefined means the selected alphabet.
+         * @type {string}
+         */
+        this.alphabet = undefined;
+        /**
+         * What to do with text that cannot be translated: 'error', 'drop' or 'transliterate' (see Morse.text2morse).
+         * @type {string}
+         */
+        this.unsupported = 'error';
+        /**
+         * Whether to use cut numbers (e.g. '5NN' for '599') in numeric fields, and the rules for which digits to cut (see morse-pro-cut-numbers).
+         * @type {boolean|string|Object}
+         */
+        this.cutNumbers = false;
+        /**
+         * Whether Morse input is an exchange of numeric fields, so that cut numbers are decoded even in words with no digits (e.g. 'ENN TTA' as '599 001').
+         * @type {boolean}
+         */
+        this.exchange = false;
+        /**
+         * The substitutions made in the last translation from text, as {offset: number, from: string, to: string}.
+         * @type {Object[]}
+         */
+        this.substitutions = [];
+        /**
+         * The errors in the last translation, as {inputOffset: number, token: string, outputOffset: number, reason: string} (see Morse.text2morse and Morse.morse2text).
+         * @type {Object[]}
+         */
+        this.errors = [];
+        /**
+         * Where each token of the input is in the message and the morse (see Morse.Span), e.g. to highlight the character being played.
+         * @type {Object[]}
+         */
+        this.spans = [];
+        /**
+         * The markup (e.g. '[wpm=25]', see morse-pro-markup) removed from the last input, as {name: string, value: number, messageOffset: number, morseOffset: number}.
+         * Each command takes effect from the character at its offsets.
+         * @type {Object[]}
+         */
+        this.markup = [];
         this.input = "";
         this.output = "";
         this.morse = "";
         this.message = "";
         this.inputWasMorse = undefined;
+        /**
+         * The notation the last Morse input was written in (see morse-pro-notation), or undefined if it was '.-' morse (or text).
+         * @type {string}
+         */
+        this.inputNotation = undefined;
         this.hasError = undefined;
     }
 
     /**
-     * @param {string} input - alphanumeric text or morse code to translate
+     * @param {string} input - alphanumeric text or morse code to translate; morse may be written in any notation known to morse-pro-notation (the spans then refer to the morse after conversion).
+     * Any markup is removed first and listed in the markup field.
      * @param {boolean} isMorse - whether the input is Morse code or not (if not set then the looksLikeMorse method will be used)
+     * @return {string} the translation
+     * @throws {Error} if there is an error in the input; the "errors" property of the Error lists them
      */
     translate(input, isMorse) {
         var translation;
+        var markup = Markup.parse(input);
+        input = markup.text;
 
         if (typeof isMorse === "undefined") {
             // make a guess: could be wrong if someone wants to translate "." into Morse for instance
-            isMorse = Morse.looksLikeMorse(input);
+            isMorse = Morse.looksLikeMorse(input, this.alphabet);
         }
+        var options = {
+            alphabet: this.alphabet,
+            unsupported: this.unsupported,
+            cutNumbers: this.cutNumbers,
+            exchange: this.exchange
+        };
         if (isMorse) {
             this.inputWasMorse = true;
-            translation = Morse.morse2text(input, this.useProsigns);
+            this.inputNotation = Notation.detect(input);
+            translation = Morse.morse2text(Notation.parse(input, this.inputNotation), this.useProsigns, options);
         } else {
             this.inputWasMorse = false;
-            translation = Morse.text2morse(input, this.useProsigns);
+            this.inputNotation = undefined;
+            translation = Morse.text2morse(input, this.useProsigns, options);
         }
 
         this.morse = translation.morse;
         this.message = translation.message;
+        this.substitutions = translation.substitutions || [];
+        this.errors = translation.errors;
+        this.spans = translation.spans;
+        this.markup = locateMarkup(markup.markup, translation);
 
         if (this.inputWasMorse) {
             this.input = this.morse;
@@ -79,21 +145,84 @@ export default class MorseMessage {
 
         this.hasError = translation.hasError;
         if (this.hasError) {
-            throw new Error("Error in input");
+            var error = new Error("Error in input");
+            error.errors = this.errors;
+            throw error;
         }
         return this.output;
     }
 
     /**
      * Clear all the errors from the morse and message. Useful if you want to play the sound even though it didn't translate.
+     * The spans are updated to match.
      */
     clearError() {
-        if (this.inputWasMorse) {
-            this.morse = this.morse.replace(/#/g, "");  // leave in the bad Morse
-        } else {
-            this.message = this.message.replace(/#[^#]*?#/g, "");
-            this.morse = this.morse.replace(/#/g, "");
-        }
+        var morse = remove(this.morse, /#/g);  // leave in the bad Morse if the input was Morse
+        var message = remove(this.message, this.inputWasMorse ? undefined : /#[^#]*?#/g);
+        this.morse = morse.text;
+        this.message = message.text;
+        this.spans.forEach(function(span) {
+            var start = morse.offsets[span.morseOffset];
+            span.morseLength = morse.offsets[span.morseOffset + span.morseLength] - start;
+            span.morseOffset = start;
+            start = message.offsets[span.messageOffset];
+            span.messageLength = message.offsets[span.messageOffset + span.messageLength] - start;
+            span.messageOffset = start;
+        });
+        this.markup.forEach(function(m) {
+            m.morseOffset = morse.offsets[m.morseOffset];
+            m.messageOffset = message.offsets[m.messageOffset];
+        });
         this.hasError = false;
+        this.errors = [];
+    }
+}
+
+/**
+ * Find where each markup command goes in the message and the morse: at the first token of the input at or after it.
+ * @param {Object[]} markup - the commands from Markup.parse
+ * @param {Object} translation - the result of Morse.text2morse or Morse.morse2text
+ * @return {Object[]}
+ * @access private
+ */
+function locateMarkup(markup, translation) {
+    return markup.map(function(m) {
+        var span = translation.spans.find(function(s) {
+            return s.inputOffset >= m.offset;
+        });
+        return {
+            name: m.name,
+            value: m.value,
+            messageOffset: span === undefined ? translation.message.length : span.messageOffset,
+            morseOffset: span === undefined ? translation.morse.length : span.morseOffset
+        };
+    });
+}
+
+/**
+ * Remove everything matching a regular expression from a string.
+ * @param {string} text
+ * @param {RegExp} [regex] - must be global (if undefined then nothing is removed)
+ * @return {{text: string, offsets: number[]}} the new text and, for each position in the old text (and the end), the corresponding position in the new text
+ * @access private
+ */
+function remove(text, regex) {
+    var ret = {text: "", offsets: []};
+    var pos = 0;
+    var keep = function(end) {
+        for (; pos < end; pos++) {
+            ret.offsets.push(ret.text.length);
+            ret.text += text[pos];
+        }
+    };
+    var match;
+    while (regex !== undefined && (match = regex.exec(text)) !== null) {
+        keep(match.index);
+        for (; pos < match.index + match[0].length; pos++) {
+            ret.offsets.push(ret.text.length);
+        }
     }
+    keep(text.length);
+    ret.offsets.push(ret.text.length);
+    return ret;
 }
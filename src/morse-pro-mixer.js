@@ -0,0 +1,127 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+import MorseCWWave from './morse-pro-cw-wave';
+
+/**
+ * Class to mix several stations into one sample, to simulate a pileup or a crowded band.
+ * Each station is a MorseCWWave instance (with its own message, speed, frequency and envelope) and can be moved in pitch,
+ * made louder or quieter and started later than the others.
+ *
+ * @example
+ * import MorseCWWave from 'morse-pro-cw-wave';
+ * import MorseMixer from 'morse-pro-mixer';
+ * import * as RiffWave from 'morse-pro-util-riffwave';
+ * var mixer = new MorseMixer(8000);
+ * ["DL2XY", "K1ABC", "JA1QRZ"].forEach(function(callsign, i) {
+ *     var morseCWWave = new MorseCWWave(true, 22 + 4 * i);
+ *     morseCWWave.translate(callsign);
+ *     mixer.addStation(morseCWWave, {offset: 80 * i - 80, amplitude: 1 - 0.3 * i, delay: 150 * i});
+ * });
+ * var wav = RiffWave.getData(mixer.getSample(), mixer.sampleRate);
+ * mixer.getTimes();  // e.g. [{start: 0, end: 2580}, {start: 150, end: 2310}, {start: 300, end: 2916}]
+ */
+export default class MorseMixer {
+    /**
+     * @param {number} [sampleRate=8000] - sample rate for the waveform in Hz (the sample rates of the stations are not used)
+     */
+    constructor(sampleRate = 8000) {
+        /** @type {number} */
+        this.sampleRate = sampleRate;
+        /**
+         * The stations added, with how each is mixed.
+         * @type {{wave: MorseCWWave, offset: number, amplitude: number, delay: number}[]}
+         */
+        this.stations = [];
+        /**
+         * A MorseChannel instance to apply to the mix (see morse-pro-channel); undefined for none.
+         * @type {MorseChannel}
+         */
+        this.channel = undefined;
+    }
+
+    /**
+     * Add a station to the mix.
+     * @param {MorseCWWave} wave - the station, already translated; its timings are read each time the mix is made
+     * @param {Object} [options]
+     * @param {number} [options.offset=0] - how much to move the pitch of the station, in Hz
+     * @param {number} [options.amplitude=1] - the loudness of the station compared with the others
+     * @param {number} [options.delay=0] - when the station starts, in ms from the start of the mix
+     * @return {number} the index of the station
+     */
+    addStation(wave, {offset = 0, amplitude = 1, delay = 0} = {}) {
+        this.stations.push({wave: wave, offset: offset, amplitude: amplitude, delay: delay});
+        return this.stations.length - 1;
+    }
+
+    /**
+     * Remove all the stations.
+     */
+    clear() {
+        this.stations = [];
+    }
+
+    /**
+     * Get when each station starts and ends.
+     * @return {{start: number, end: number}[]} in ms from the start of the mix, in the order the stations were added
+     */
+    getTimes() {
+        return this.stations.map(function(station) {
+            return {start: station.delay, end: station.delay + station.wave.getDuration()};
+        });
+    }
+
+    /**
+     * Get the length of the mix: the time until the last station ends.
+     * @return {number} in ms
+     */
+    getDuration() {
+        return this.getTimes().reduce(function(max, times) {
+            return Math.max(max, times.end);
+        }, 0);
+    }
+
+    /**
+     * Get a sample waveform of all the stations mixed together, scaled down if need be so that it does not clip.
+     * @param {number} [endPadding=0] - how much silence in ms to add to the end of the waveform
+     * @return {number[]} an array of floats in range [-1, 1] representing the wave-form, e.g. for RiffWave.getData
+     */
+    getSample(endPadding = 0) {
+        var sampleRate = this.sampleRate;
+        var mix = new Array(Math.ceil(sampleRate * (this.getDuration() + endPadding) / 1000)).fill(0);
+        this.stations.forEach(function(station) {
+            var frequencies = station.wave.getFrequencies().map(function(f) {
+                return f + station.offset;
+            });
+            var sample = MorseCWWave.getSampleGeneral(station.wave.getTimings(), frequencies, sampleRate, 0, station.wave.envelope, station.wave.timbre);
+            var start = Math.round(sampleRate * station.delay / 1000);
+            for (var i = 0; i < sample.length; i++) {
+                if (start + i >= mix.length) {
+                    mix.push(0);  // the clack of a telegraph sounder carries on after the end
+                }
+                mix[start + i] += sample[i] * station.amplitude;
+            }
+        });
+        if (this.channel !== undefined) {
+            return this.channel.apply(mix, sampleRate);
+        }
+        var peak = mix.reduce(function(max, x) {
+            return Math.max(max, Math.abs(x));
+        }, 0);
+        if (peak > 1) {
+            for (var i = 0; i < mix.length; i++) {
+                mix[i] /= peak;
+            }
+        }
+        return mix;
+    }
+}
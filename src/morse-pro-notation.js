@@ -0,0 +1,249 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+/**
+ * Convert between canonical morse ('.- / -...') and other ways of writing it down:
+ *   'ditdah' - prose such as "Di-dah, dah-di-di-dit."
+ *   'dots' - Unicode middle dots and minus signs such as "·− / −···"
+ *   'binary' - a string of units, 1 for on and 0 for off, such as "10111" for 'A'
+ *   'runlength' - alternating on and off lengths in units (off is negative), such as [1, -1, 3] for 'A'
+ *
+ * @example
+ * import * as Notation from 'morse-pro-notation';
+ * Notation.format(".- / -...", 'dots');  // "·− / −···"
+ * Notation.detect("10111");  // 'binary'
+ * Notation.parse("Di-dah, dah-di-di-dit.");  // ".- / -..."
+ */
+
+const MIN_BINARY_LENGTH = 8;  /** shorter strings of 1s and 0s are more likely to be numbers */
+
+/**
+ * Write canonical morse as dit-dah prose.
+ * @param {string} morse - canonical morse
+ * @return {string} e.g. "Di-di-dit, dah."
+ */
+export function toDitDah(morse) {
+    var ditdah = morse + ' ';
+    ditdah = ditdah.replace(/\./g, 'di~').replace(/\-/g, 'dah~'); // do the basic job
+    ditdah = ditdah.replace(/~/g, '-'); // replace placeholder with dash
+    ditdah = ditdah.replace(/\- /g, ' '); // remove trailing dashes
+    ditdah = ditdah.replace(/di /g, 'dit '); // use 'dit' at end of letter
+    ditdah = ditdah.replace(/ \/ /g, ', '); // do punctuation
+    ditdah = ditdah.replace(/^d/, 'D'); // do capitalisation
+    ditdah = ditdah.replace(/ $/, ''); // remove the space we added
+    ditdah = ditdah.replace(/([th])$/, '$1.'); // add full-stop if there is anything there
+    return ditdah;
+}
+
+/**
+ * Read dit-dah prose. Letters are separated by spaces and words by commas; "di", "dit" and "dah" may be joined by hyphens or written together.
+ * @param {string} ditdah - e.g. "Di-di-dit, dah."
+ * @return {string} canonical morse
+ */
+export function fromDitDah(ditdah) {
+    return ditdah.toLowerCase().replace(/[.\s]+$/, '').split(',').map(function(word) {
+        return word.trim().split(/\s+/).map(function(letter) {
+            return (letter.match(/dah|dit?/g) || []).map(function(element) {
+                return element === 'dah' ? '-' : '.';
+            }).join('');
+        }).join(' ');
+    }).join(' / ');
+}
+
+/**
+ * Write canonical morse with Unicode middle dots and minus signs.
+ * @param {string} morse - canonical morse
+ * @return {string}
+ */
+export function toDots(morse) {
+    return morse.replace(/\./g, '·').replace(/-/g, '−');
+}
+
+/**
+ * Read morse written with middle dots, bullets, minus signs or dashes.
+ * @param {string} dots
+ * @return {string} canonical morse
+ */
+export function fromDots(dots) {
+    return dots.replace(/[·•∙⋅]/g, '.').replace(/[−–—]/g, '-').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Write canonical morse as a string of units: '1' for each unit of sound and '0' for each unit of silence.
+ * @param {string} morse - canonical morse
+ * @return {string} e.g. "10111" for ".-"
+ */
+export function toBinary(morse) {
+    return toRunLength(morse).map(function(units) {
+        return units > 0 ? '1'.repeat(units) : '0'.repeat(-units);
+    }).join('');
+}
+
+/**
+ * Read a string of units. Leading and trailing zeros are ignored.
+ * @param {string} binary - e.g. "10111"
+ * @return {string} canonical morse
+ */
+export function fromBinary(binary) {
+    var runs = binary.replace(/\s/g, '').match(/1+|0+/g) || [];
+    return fromRunLength(runs.map(function(run) {
+        return run[0] === '1' ? run.length : -run.length;
+    }));
+}
+
+/**
+ * Write canonical morse as alternating on (positive) and off (negative) lengths in units.
+ * @param {string} morse - canonical morse
+ * @return {number[]} e.g. [1, -1, 3] for ".-"
+ */
+export function toRunLength(morse) {
+    var lengths = [];
+    var units = {'.': 1, '-': 3, '+': -1, ' ': -3, '/': -7};
+    morse.replace(/ \/ /g, '/').replace(/([.-])(?=[.-])/g, '$1+').split('').forEach(function(c) {
+        if (units[c] !== undefined) {
+            lengths.push(units[c]);
+        }
+    });
+    return lengths;
+}
+
+/**
+ * Read alternating on and off lengths. Sounds shorter than 2 units are dits, silences shorter than 2 units are between elements and
+ * silences of 5 units or more are between words. Leading and trailing silence is ignored.
+ * @param {number[]|string} lengths - the lengths, or a string of them separated by commas or spaces (optionally in square brackets)
+ * @return {string} canonical morse
+ */
+export function fromRunLength(lengths) {
+    if (typeof lengths === 'string') {
+        lengths = lengths.replace(/[\[\]]/g, '').trim().split(/[\s,]+/).map(Number);
+    }
+    var morse = '';
+    lengths.forEach(function(d) {
+        if (d > 0) {
+            morse += d < 2 ? '.' : '-';
+        } else if (morse !== '' && -d >= 2) {
+            morse += -d < 5 ? ' ' : '/';
+        }
+    });
+    return morse.replace(/[ /]+$/, '').replace(/ ?\/ ?/g, ' / ');
+}
+
+/**
+ * Work out which notation a string (or array) is written in.
+ * Only forms which cannot be ordinary text are detected: dit-dah prose must have hyphens (e.g. "Di-dah", not "Di" or "dah"),
+ * binary must have the run lengths of standard timing with a dah and a gap between characters (e.g. "10111000111", not "10000001"),
+ * dots must include a middle dot or bullet (e.g. "·−", not a lone dash "—"),
+ * and run-lengths in a string must be in square brackets with the standard lengths of 1, 3 and 7.
+ * To read other input (such as "dit dah" or "[2, -1, 1]") give the notation to parse.
+ * Plain '.-' morse and text are not detected, so that they are left for looksLikeMorse to decide.
+ * @param {string|number[]} input
+ * @return {string} 'ditdah', 'dots', 'binary' or 'runlength', or undefined if it is none of these
+ */
+export function detect(input) {
+    if (Array.isArray(input)) {
+        return isRunLength(input) ? 'runlength' : undefined;
+    }
+    if (input.match(/^[\s,.]*(?:(?:dah|dit?)[\s,.-]*)+$/i) && input.match(/(?:dah|di)-(?:dah|dit?)/i)) {
+        return 'ditdah';
+    }
+    if (input.match(/^[·•∙⋅−–—\s/]+$/) && input.match(/[·•∙⋅]/)) {
+        return 'dots';
+    }
+    if (input.match(/^[01]+$/) && input.length >= MIN_BINARY_LENGTH && input.match(/^1.*1$/) && isStandardBinary(input)) {
+        return 'binary';
+    }
+    var numbers = input.match(/^\s*\[\s*(-?\d+(?:\s*[,\s]\s*-?\d+)*)\s*\]\s*$/);
+    if (numbers && isStandardRunLength(numbers[1].split(/[\s,]+/).map(Number))) {
+        return 'runlength';
+    }
+    return undefined;
+}
+
+/**
+ * Binary with sounds of 1 or 3 units, silences of 1, 3 or 7 units, and at least one dah and one gap between characters.
+ * @access private
+ */
+function isStandardBinary(binary) {
+    var runs = binary.match(/1+|0+/g);
+    return binary.indexOf('111') !== -1 && binary.indexOf('000') !== -1 && isStandardRunLength(runs.map(function(run) {
+        return run[0] === '1' ? run.length : -run.length;
+    }));
+}
+
+/**
+ * Run-lengths which only use the standard lengths: sounds of 1 or 3 units and silences of 1, 3 or 7 units.
+ * @access private
+ */
+function isStandardRunLength(lengths) {
+    return isRunLength(lengths) && lengths.every(function(d) {
+        return [1, 3, -1, -3, -7].indexOf(d) !== -1;
+    });
+}
+
+/**
+ * Alternating signs, starting with a sound, and at least one sound and one silence.
+ * @access private
+ */
+function isRunLength(lengths) {
+    if (lengths.length < 3 || !(lengths[0] > 0)) {
+        return false;
+    }
+    for (var i = 1; i < lengths.length; i++) {
+        if (!(lengths[i] * lengths[i - 1] < 0)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Convert from any notation to canonical morse.
+ * @param {string|number[]} input
+ * @param {string} [notation] - the notation of the input (detected if not given); if undefined the input is returned unchanged
+ * @return {string} the morse
+ */
+export function parse(input, notation = detect(input)) {
+    switch (notation) {
+        case 'ditdah':
+            return fromDitDah(input);
+        case 'dots':
+            return fromDots(input);
+        case 'binary':
+            return fromBinary(input);
+        case 'runlength':
+            return fromRunLength(input);
+        default:
+            return input;
+    }
+}
+
+/**
+ * Convert canonical morse to a notation.
+ * @param {string} morse - canonical morse
+ * @param {string} notation - 'ditdah', 'dots', 'binary' or 'runlength'
+ * @return {string|number[]}
+ * @throws {Error} if the notation is unknown
+ */
+export function format(morse, notation) {
+    switch (notation) {
+        case 'ditdah':
+            return toDitDah(morse);
+        case 'dots':
+            return toDots(morse);
+        case 'binary':
+            return toBinary(morse);
+        case 'runlength':
+            return toRunLength(morse);
+        default:
+            throw new Error('Unknown notation: "' + notation + '"');
+    }
+}
@@ -10,6 +10,9 @@ Unless required by applicable law or agreed to in writing, software distributed
 See the Licence for the specific language governing permissions and limitations under the Licence.
 */
 
+import MorseEnvelope from './morse-pro-envelope';
+import MorseTimbre from './morse-pro-timbre';
+
 /**
  * Web browser sound player using Web Audio API.
  *
@@ -42,6 +45,16 @@ export default class MorsePlayerWAA {
 
         this.loop = false;
         this.frequency = undefined;
+        /**
+         * The rise and fall of each sound.
+         * @type {MorseEnvelope}
+         */
+        this.envelope = new MorseEnvelope();
+        /**
+         * The waveform of the tone, or a telegraph sounder (MorsePlayerWAALight cannot follow the sounder as it is silent while the key is down).
+         * @type {MorseTimbre}
+         */
+        this.timbre = new MorseTimbre();
         this.startPadding = 0;  // number of ms to wait before playing first note of initial sequence
         this.endPadding = 0;  // number of ms to wait at the end of a sequence before playing the next one (or looping)
 
@@ -63,14 +76,9 @@ export default class MorsePlayerWAA {
     _initialiseAudioNodes() {
         this.audioContext = new this.audioContextClass();
         this.splitterNode = this.audioContext.createGain();  // this node is here to attach other nodes to in subclass
-        this.lowPassNode = this.audioContext.createBiquadFilter();
-        this.lowPassNode.type = "lowpass";
-        // TODO: remove this magic number and make the filter configurable?
-        this.lowPassNode.frequency.setValueAtTime(this.frequency * 1.1, this.audioContext.currentTime);
         this.gainNode = this.audioContext.createGain();  // this node is actually used for volume
         this.volume = this._volume;
-        this.splitterNode.connect(this.lowPassNode);
-        this.lowPassNode.connect(this.gainNode);
+        this.splitterNode.connect(this.gainNode);
         this.gainNode.connect(this.audioContext.destination);
         this._notPlayedANote = true;
     }
@@ -82,8 +90,7 @@ export default class MorsePlayerWAA {
     set volume(v) {
         this._volume = Math.min(Math.max(v, 0), 1);
         try {
-            // multiply by 0.813 to reduce gain added by lowpass filter and avoid clipping
-            this.gainNode.gain.setValueAtTime(0.813 * this._volume, this.audioContext.currentTime);
+            this.gainNode.gain.setValueAtTime(this._volume, this.audioContext.currentTime);
         } catch (ex) {
             // getting here means _initialiseAudioNodes() has not yet been called: that's okay
         }
@@ -97,12 +104,14 @@ export default class MorsePlayerWAA {
     }
 
     /**
-     * Convenience method to help playing directly from a MorseCWWave instance. Uses the CWWave timings and frequency.
+     * Convenience method to help playing directly from a MorseCWWave instance. Uses the CWWave timings, frequency, envelope and timbre.
      * @param {Object} cwWave - a MorseCWWave instance
      */
     loadCWWave(cwWave) {
         this.load(cwWave.getTimings());
         this.frequency = cwWave.frequency;
+        this.envelope = cwWave.envelope;
+        this.timbre = cwWave.timbre;
     }
 
     /**
@@ -247,7 +256,7 @@ export default class MorsePlayerWAA {
      */
     _scheduleNotes() {
         // console.log('Scheduling:');
-        var oscillator, start, end;
+        var oscillator, noteGain, start, end;
         var now = this.audioContext.currentTime;
         while (this._nextNote < this.sequenceLength && 
                 (this._cTimings[this._nextNote] < now - this._tZero + this._lookAheadTime)) {
@@ -265,16 +274,25 @@ export default class MorsePlayerWAA {
                 }.bind(this), 1000 * (this._tZero + this._cTimings[this._nextNote] - now));
                 this.sequenceStartCallbackFired = true;
             }
-            if (this.isNote[this._nextNote]) {
+            if (this.isNote[this._nextNote] && this.timbre.isSounder) {
+                start = this._tZero + this._cTimings[this._nextNote];
+                end   = this._tZero + this._cTimings[this._nextNote + 1];
+                this._soundEndTime = end + this.timbre.getSounderLength(false) / 1000;  // we need to store this for the stop() callback
+                this.timbre.scheduleSounder(this.audioContext, this.splitterNode, start, true, this.frequency);
+                this.timbre.scheduleSounder(this.audioContext, this.splitterNode, end, false, this.frequency);
+            } else if (this.isNote[this._nextNote]) {
                 start = this._tZero + this._cTimings[this._nextNote];
                 end   = this._tZero + this._cTimings[this._nextNote + 1];
                 this._soundEndTime = end;  // we need to store this for the stop() callback
                 oscillator = this.audioContext.createOscillator();
-                oscillator.type = 'sine';
+                this.timbre.setupOscillator(oscillator, this.audioContext);
                 oscillator.frequency.setValueAtTime(this.frequency, start);
                 oscillator.start(start);
                 oscillator.stop(this._soundEndTime);
-                oscillator.connect(this.splitterNode);
+                noteGain = this.audioContext.createGain();
+                this.envelope.schedule(noteGain.gain, start, end - start);
+                oscillator.connect(noteGain);
+                noteGain.connect(this.splitterNode);
             }
 
             this._nextNote++;
@@ -0,0 +1,277 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+import * as Callsign from './morse-pro-callsign';
+import * as CutNumbers from './morse-pro-cut-numbers';
+import * as Random from './morse-pro-util-random';
+
+/**
+ * The CQ call, which stations take part and the exchange sent by a station (with the fields in the order they are sent) for each contest.
+ * @access private
+ */
+var contestsH = {
+    'CQ WW': {
+        cq: 'TEST',
+        stations: 'any',
+        exchange: function(station) {
+            return {rst: '599', zone: String(station.cqZone)};
+        }
+    },
+    'CQ WPX': {
+        cq: 'TEST',
+        stations: 'any',
+        exchange: function(station, random) {
+            return {rst: '599', serial: serial(random)};
+        }
+    },
+    'ARRL DX': {
+        cq: 'TEST',
+        stations: 'north america and dx',
+        exchange: function(station) {
+            return station.state !== undefined ? {rst: '599', state: station.state} : {rst: '599', power: station.power.replace(/W$/, '').replace(/^1000$/, 'KW')};
+        }
+    },
+    'Field Day': {
+        cq: 'FD',
+        stations: 'north america',
+        exchange: function(station, random) {
+            return {class: Random.integer(random, 1, 4) + Random.pick(random, ['A', 'A', 'B', 'D', 'E']), section: station.section};
+        }
+    }
+};
+
+/**
+ * Operators' names and what is in their shacks.
+ * @access private
+ */
+var names = [
+    'JOHN', 'BOB', 'MIKE', 'DAVE', 'JIM', 'TOM', 'BILL', 'STEVE', 'PETE', 'PAUL', 'KEN', 'RON', 'ANN', 'SUE', 'MARY',
+    'JANE', 'LIZ', 'KATE', 'HANS', 'KLAUS', 'PIERRE', 'JEAN', 'MARCO', 'LUCA', 'JOSE', 'YUKI', 'TARO', 'IVAN', 'OLGA', 'RAJ'
+];
+
+var rigs = ['IC7300', 'IC705', 'FT991', 'FTDX10', 'FT817', 'TS590', 'K3', 'K4', 'KX3', 'HOMEBREW'];
+
+var antennas = ['DIPOLE', 'YAGI', 'VERTICAL', 'EFHW', 'LOOP', 'G5RV', 'WIRE'];
+
+var powers = ['5W', '10W', '50W', '100W', '400W', '1000W'];
+
+var weathers = ['SUNNY', 'CLOUDY', 'RAIN', 'SNOW', 'FOG', 'WINDY', 'FINE'];
+
+/**
+ * Class to generate plausible amateur radio traffic for copy practice: CQ calls, ragchew QSOs and contest exchanges.
+ * Each method returns the text (ready for MorseCWWave.translate), the text of each transmission and an answer key for scoring what was copied.
+ * The same seed always gives the same traffic.
+ *
+ * @example
+ * import MorseQSO from 'morse-pro-qso';
+ * import MorseCWWave from 'morse-pro-cw-wave';
+ * var qso = new MorseQSO('contest practice');
+ * var contact = qso.generateContest('CQ WW');
+ * // contact.text is e.g. "CQ TEST K1ABC K1ABC DL2XY DL2XY 5NN 5 TU 5NN 14 TU K1ABC TEST"
+ * // contact.key.exchanges is e.g. [{from: "K1ABC", to: "DL2XY", fields: {rst: "599", zone: "5"}}, {from: "DL2XY", to: "K1ABC", fields: {rst: "599", zone: "14"}}]
+ * var morseCWWave = new MorseCWWave();
+ * morseCWWave.translate(contact.text);
+ */
+export default class MorseQSO {
+    /**
+     * @param {number|string} [seed] - seed for the random traffic (see morse-pro-util-random); random if not given
+     */
+    constructor(seed) {
+        /**
+         * Which digits to send as cut numbers in contest exchanges (see morse-pro-cut-numbers); by default '599' is sent as '5NN'.
+         * The answer key always has the digits.
+         * @type {boolean|string|Object}
+         */
+        this.cutNumbers = '9';
+        /**
+         * The countries to choose stations from (see Callsign.getCountryNames).
+         * @type {string[]}
+         */
+        this.countries = Callsign.getCountryNames();
+        /**
+         * The seed (see morse-pro-util-random); setting it starts the random traffic again, and undefined gives a random seed.
+         * @type {number|string}
+         */
+        this.seed = seed;
+    }
+
+    /**
+     * Get the names of the contests known to generateContest.
+     * @return {string[]}
+     */
+    static getContestNames() {
+        return Object.keys(contestsH);
+    }
+
+    /**
+     * Make a random station with an operator.
+     * @param {string[]} [countries=this.countries]
+     * @return {Object} see Callsign.randomStation, with the operator's name, rig, antenna, power and weather added
+     * @access private
+     */
+    randomStation(countries = this.countries) {
+        var station = Callsign.randomStation(this._random, countries);
+        station.name = Random.pick(this._random, names);
+        station.rig = Random.pick(this._random, rigs);
+        station.antenna = Random.pick(this._random, antennas);
+        station.power = Random.pick(this._random, powers);
+        station.weather = Random.pick(this._random, weathers);
+        station.temperature = String(Random.integer(this._random, -5, 30));
+        return station;
+    }
+
+    /**
+     * Generate a station calling CQ.
+     * @return {{text: string, transmissions: {from: string, text: string}[], key: Object}} the key has the type ('cq') and the stations
+     */
+    generateCQ() {
+        var a = this.randomStation();
+        return result('cq', [a], [
+            {from: a.callsign, text: 'CQ CQ CQ DE ' + a.callsign + ' ' + a.callsign + ' ' + a.callsign + ' K'}
+        ], []);
+    }
+
+    /**
+     * Generate a conversational contact: signal reports, names and locations, then rigs and weather, then goodbyes.
+     * @return {{text: string, transmissions: {from: string, text: string}[], key: Object}} the key has the type ('ragchew'), the stations
+     * and the exchanges, each as {from: string, to: string, fields: Object} with the rst, name, qth, rig, antenna, power, weather and temperature sent
+     */
+    generateRagchew() {
+        var a = this.randomStation();
+        var b = this.randomStation();
+        var greeting = Random.pick(this._random, ['GM', 'GA', 'GE']);
+        var fieldsA = this.ragchewFields(a);
+        var fieldsB = this.ragchewFields(b);
+        var calls = function(to, from) {
+            return to.callsign + ' DE ' + from.callsign;
+        };
+        var details = function(fields) {
+            return 'RIG ' + fields.rig + ' ES ANT ' + fields.antenna + ' PWR ' + fields.power + ' <BT> WX ' + fields.weather + ' TEMP ' + fields.temperature + 'C';
+        };
+        var report = function(fields) {
+            return 'UR RST ' + fields.rst + ' ' + fields.rst + ' <BT> NAME ' + fields.name + ' ' + fields.name + ' <BT> QTH ' + fields.qth + ' ' + fields.qth;
+        };
+        return result('ragchew', [a, b], [
+            {from: a.callsign, text: 'CQ CQ CQ DE ' + a.callsign + ' ' + a.callsign + ' ' + a.callsign + ' K'},
+            {from: b.callsign, text: calls(a, b) + ' ' + b.callsign + ' K'},
+            {from: a.callsign, text: calls(b, a) + ' ' + greeting + ' TNX FER CALL <BT> ' + report(fieldsA) + ' <BT> HW? ' + calls(b, a) + ' <KN>'},
+            {from: b.callsign, text: calls(a, b) + ' R ' + greeting + ' ' + a.name + ' TNX FER RPT <BT> ' + report(fieldsB) + ' <BT> ' + details(fieldsB) + ' <BT> ' + calls(a, b) + ' <KN>'},
+            {from: a.callsign, text: calls(b, a) + ' R FB ' + b.name + ' <BT> ' + details(fieldsA) + ' <BT> TNX QSO 73 ' + calls(b, a) + ' <SK>'},
+            {from: b.callsign, text: calls(a, b) + ' TNX ' + a.name + ' 73 GL <SK> E E'}
+        ], [
+            {from: a.callsign, to: b.callsign, fields: fieldsA},
+            {from: b.callsign, to: a.callsign, fields: fieldsB}
+        ]);
+    }
+
+    /**
+     * The details a station sends in a ragchew.
+     * @access private
+     */
+    ragchewFields(station) {
+        return {
+            rst: Random.pick(this._random, ['599', '579', '589', '559', '449']),
+            name: station.name,
+            qth: station.city,
+            rig: station.rig,
+            antenna: station.antenna,
+            power: station.power,
+            weather: station.weather,
+            temperature: station.temperature
+        };
+    }
+
+    /**
+     * Generate a contest contact: a running station calls CQ, another station answers and they swap exchanges.
+     * @param {string} [contest='CQ WW'] - the contest (see getContestNames):
+     *   'CQ WW' - RST and CQ zone;
+     *   'CQ WPX' - RST and serial number;
+     *   'ARRL DX' - RST and state or province from the USA and Canada, RST and power from elsewhere (only contacts between the two count);
+     *   'Field Day' - class (transmitters and category) and ARRL section, between stations in the USA and Canada.
+     * @return {{text: string, transmissions: {from: string, text: string}[], key: Object}} the key has the type ('contest'), the contest, the stations
+     * and the exchanges, each as {from: string, to: string, fields: Object} with the fields of the exchange (without cut numbers)
+     * @throws {Error} if the contest is unknown
+     */
+    generateContest(contest = 'CQ WW') {
+        var rules = contestsH[contest];
+        if (rules === undefined) {
+            throw new Error('Unknown contest: "' + contest + '"');
+        }
+        var northAmerica = ['United States', 'Canada'];
+        var dx = this.countries.filter(function(c) {
+            return northAmerica.indexOf(c) === -1;
+        });
+        var a, b;
+        if (rules.stations === 'north america') {
+            a = this.randomStation(northAmerica);
+            b = this.randomStation(northAmerica);
+        } else if (rules.stations === 'north america and dx') {
+            var choices = this._random() < 0.5 ? [northAmerica, dx] : [dx, northAmerica];
+            a = this.randomStation(choices[0]);
+            b = this.randomStation(choices[1]);
+        } else {
+            a = this.randomStation();
+            b = this.randomStation();
+        }
+        var fieldsA = rules.exchange(a, this._random);
+        var fieldsB = rules.exchange(b, this._random);
+        var cutNumbers = this.cutNumbers;
+        var send = function(fields) {
+            var text = Object.keys(fields).map(function(f) {
+                return fields[f];
+            }).join(' ');
+            return cutNumbers ? CutNumbers.encode(text, cutNumbers).text : text;
+        };
+        return result('contest', [a, b], [
+            {from: a.callsign, text: 'CQ ' + rules.cq + ' ' + a.callsign + ' ' + a.callsign},
+            {from: b.callsign, text: b.callsign},
+            {from: a.callsign, text: b.callsign + ' ' + send(fieldsA)},
+            {from: b.callsign, text: 'TU ' + send(fieldsB)},
+            {from: a.callsign, text: 'TU ' + a.callsign + ' ' + rules.cq}
+        ], [
+            {from: a.callsign, to: b.callsign, fields: fieldsA},
+            {from: b.callsign, to: a.callsign, fields: fieldsB}
+        ], contest);
+    }
+}
+
+Random.addSeed(MorseQSO);
+
+/**
+ * Put together the result of a generator.
+ * @access private
+ */
+function result(type, stations, transmissions, exchanges, contest) {
+    var key = {
+        type: type,
+        stations: stations,
+        exchanges: exchanges
+    };
+    if (contest !== undefined) {
+        key.contest = contest;
+    }
+    return {
+        text: transmissions.map(function(t) {
+            return t.text;
+        }).join(' '),
+        transmissions: transmissions,
+        key: key
+    };
+}
+
+/**
+ * A serial number as sent in contests.
+ * @access private
+ */
+function serial(random) {
+    return ('00' + Random.integer(random, 1, 999)).slice(-3);
+}
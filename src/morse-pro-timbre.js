@@ -0,0 +1,215 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+/**
+ * For each waveform, the amplitude of the nth harmonic (as a sine wave, n starting at 1).
+ * @access private
+ */
+var harmonicsH = {
+    'sine': function(n) {
+        return n === 1 ? 1 : 0;
+    },
+    'square': function(n) {
+        return n % 2 === 1 ? 4 / (Math.PI * n) : 0;
+    },
+    'triangle': function(n) {
+        return n % 2 === 1 ? (8 / (Math.PI * Math.PI * n * n)) * (n % 4 === 1 ? 1 : -1) : 0;
+    },
+    'sawtooth': function(n) {
+        return (2 / (Math.PI * n)) * (n % 2 === 1 ? 1 : -1);
+    }
+};
+
+/**
+ * The sounds of a telegraph sounder: the armature strikes at key-down (click) and returns at key-up (clack).
+ * Each is a damped ring made of partials given as a multiple of the frequency and an amplitude; the decay is in ms.
+ * @access private
+ */
+var sounderH = {
+    down: {partials: [[1, 0.6], [2.76, 0.4]], decay: 4},
+    up: {partials: [[1.5, 0.35], [4.1, 0.15]], decay: 3}
+};
+
+const WAVEFORMS = Object.keys(harmonicsH).concat('custom', 'sounder');  /** @access private */
+
+/**
+ * Class for the timbre of the sound: the shape of the waveform of the tone, or the clicks of a telegraph sounder instead of a tone.
+ * Tones are built from the same harmonics whether they are summed here or given to the Web Audio API as a PeriodicWave, and a sounder has no tone at all, just a click when the key goes down and a clack when it comes up.
+ *
+ * @example
+ * import MorseTimbre from 'morse-pro-timbre';
+ * import MorseCWWave from 'morse-pro-cw-wave';
+ * var morseCWWave = new MorseCWWave();
+ * morseCWWave.timbre = new MorseTimbre('custom', [1, 0, 0.3, 0, 0.1]);  // fundamental with some 3rd and 5th harmonic
+ * morseCWWave.translate("abc");
+ * var sample = morseCWWave.getSample();
+ * morseCWWave.timbre = new MorseTimbre('sounder');  // American landline telegraph
+ */
+export default class MorseTimbre {
+    /**
+     * @param {string} [waveform='sine'] - 'sine', 'square', 'triangle', 'sawtooth', 'custom' or 'sounder'
+     * @param {number[]} [harmonics=[1]] - the amplitude of each harmonic (starting with the fundamental) for the 'custom' waveform
+     */
+    constructor(waveform = 'sine', harmonics = [1]) {
+        /**
+         * The waveform: 'sine', 'square', 'triangle', 'sawtooth', 'custom' or 'sounder' (see getWaveformNames).
+         * @type {string}
+         */
+        this.waveform = waveform;
+        /**
+         * The amplitude of each harmonic (starting with the fundamental) for the 'custom' waveform.
+         * @type {number[]}
+         */
+        this.harmonics = harmonics;
+    }
+
+    /**
+     * Get the names of the waveforms.
+     * @return {string[]}
+     */
+    static getWaveformNames() {
+        return WAVEFORMS.slice();
+    }
+
+    /**
+     * Whether this is a telegraph sounder rather than a tone.
+     * @type {boolean}
+     */
+    get isSounder() {
+        return this.waveform === 'sounder';
+    }
+
+    /**
+     * Get the amplitudes of the harmonics of the tone (before it is scaled to a peak of 1).
+     * @param {number} count - how many harmonics to give
+     * @return {number[]} the amplitude of each harmonic as a sine wave, starting with the fundamental
+     * @throws {Error} if the waveform is unknown or is 'sounder'
+     */
+    getCoefficients(count) {
+        var coefficients = [];
+        for (var n = 1; n <= count; n++) {
+            if (this.waveform === 'custom') {
+                coefficients.push(this.harmonics[n - 1] || 0);
+            } else if (harmonicsH[this.waveform] !== undefined) {
+                coefficients.push(harmonicsH[this.waveform](n));
+            } else {
+                throw new Error('Unknown tone waveform: "' + this.waveform + '"');
+            }
+        }
+        return coefficients;
+    }
+
+    /**
+     * Make a function giving the tone at a point in its cycle. Harmonics above half the sample rate are left out to avoid aliasing.
+     * Making it is slow for waveforms with many harmonics, so make one for each frequency and reuse it.
+     * @param {number} frequency - the frequency of the tone in Hz
+     * @param {number} sampleRate - the sample rate in Hz
+     * @return {function(phase: number): number} given the phase in radians, returns the tone in range [-1, 1]
+     * @throws {Error} if the waveform is unknown or is 'sounder'
+     */
+    createOscillator(frequency, sampleRate) {
+        if (this.waveform === 'sine') {
+            return Math.sin;
+        }
+        var count = Math.max(1, Math.floor(sampleRate / 2 / frequency));
+        if (this.waveform === 'custom') {
+            count = Math.min(count, this.harmonics.length);
+        }
+        var harmonics = [];  // the multiple of the frequency and the amplitude of each harmonic which is present
+        this.getCoefficients(count).forEach(function(coefficient, n) {
+            if (coefficient !== 0) {
+                harmonics.push([n + 1, coefficient]);
+            }
+        });
+        var tone = function(phase) {
+            var value = 0;
+            for (var n = 0; n < harmonics.length; n++) {
+                value += harmonics[n][1] * Math.sin(harmonics[n][0] * phase);
+            }
+            return value;
+        };
+        // scale to a peak of 1, as the Web Audio API does with a PeriodicWave
+        var peak = 0;
+        for (var i = 0; i < 1024; i++) {
+            peak = Math.max(peak, Math.abs(tone(Math.PI * 2 * i / 1024)));
+        }
+        return function(phase) {
+            return peak === 0 ? 0 : tone(phase) / peak;
+        };
+    }
+
+    /**
+     * Get the length of the sound of a telegraph sounder, which carries on after the key-down or key-up.
+     * @param {boolean} keyDown - true for the click at key-down, false for the clack at key-up
+     * @return {number} in ms
+     */
+    getSounderLength(keyDown) {
+        return (keyDown ? sounderH.down : sounderH.up).decay * 6;
+    }
+
+    /**
+     * Get the sound of a telegraph sounder at key-down or key-up.
+     * @param {boolean} keyDown - true for the click at key-down, false for the clack at key-up
+     * @param {number} frequency - the pitch of the sounder in Hz
+     * @param {number} sampleRate - the sample rate in Hz
+     * @return {number[]} an array of floats in range [-1, 1]
+     */
+    getSounderSound(keyDown, frequency, sampleRate) {
+        var sound = keyDown ? sounderH.down : sounderH.up;
+        var sample = [];
+        for (var i = 0; i < sampleRate * this.getSounderLength(keyDown) / 1000; i++) {
+            var t = i / sampleRate;
+            var value = 0;
+            sound.partials.forEach(function(partial) {
+                value += partial[1] * Math.sin(Math.PI * 2 * frequency * partial[0] * t);
+            });
+            sample.push(value * Math.exp(-t * 1000 / sound.decay));
+        }
+        return sample;
+    }
+
+    /**
+     * Set the waveform of a Web Audio API OscillatorNode.
+     * @param {OscillatorNode} oscillator
+     * @param {BaseAudioContext} audioContext - the context of the oscillator
+     * @throws {Error} if the waveform is unknown or is 'sounder'
+     */
+    setupOscillator(oscillator, audioContext) {
+        if (this.waveform === 'sine') {
+            oscillator.type = 'sine';
+            return;
+        }
+        var imag = [0].concat(this.getCoefficients(this.waveform === 'custom' ? this.harmonics.length : 64));
+        var real = imag.map(function() {
+            return 0;
+        });
+        oscillator.setPeriodicWave(audioContext.createPeriodicWave(new Float32Array(real), new Float32Array(imag)));
+    }
+
+    /**
+     * Schedule the sound of a telegraph sounder using the Web Audio API.
+     * @param {BaseAudioContext} audioContext
+     * @param {AudioNode} destination - where to connect the sound
+     * @param {number} time - when to play it in seconds (in the time of the AudioContext)
+     * @param {boolean} keyDown - true for the click at key-down, false for the clack at key-up
+     * @param {number} frequency - the pitch of the sounder in Hz
+     */
+    scheduleSounder(audioContext, destination, time, keyDown, frequency) {
+        var sound = this.getSounderSound(keyDown, frequency, audioContext.sampleRate);
+        var buffer = audioContext.createBuffer(1, sound.length, audioContext.sampleRate);
+        buffer.getChannelData(0).set(sound);
+        var source = audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(destination);
+        source.start(time);
+    }
+}
@@ -0,0 +1,124 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+/**
+ * Timing events: each sound or silence of some Morse with what it is and where it came from, as an alternative to an array of signed millisecond timings.
+ * Use MorseCW.getTimingEvents to get the events for a message, and toTimings and fromTimings to convert to and from the signed timings.
+ *
+ * @example
+ * import * as TimingEvents from 'morse-pro-timing-events';
+ * var events = TimingEvents.fromTimings([60, -60, 180, -420, 60], 60);
+ * // [{kind: 'dit', duration: 60, startTime: 0, ...}, {kind: 'ditSpace', ...}, {kind: 'dah', ...}, {kind: 'wordSpace', ...}, {kind: 'dit', ...}]
+ * TimingEvents.toTimings(events);  // [60, -60, 180, -420, 60]
+ */
+
+/**
+ * A sound or silence.
+ * @typedef {Object} TimingEvent
+ * @property {string} kind - 'dit', 'dah', 'ditSpace' (between the sounds of a character), 'charSpace', 'wordSpace' or 'pause' (added by markup)
+ * @property {string} element - the element of the morse, e.g. '.', '+' or '/' (or '_' for a long dash in American Morse); undefined for a pause
+ * @property {number} duration - the length in ms
+ * @property {number} startTime - the time in ms from the start of the message
+ * @property {string} character - the text of the character the event is part of (undefined for a space between characters or words, or if not known)
+ * @property {number} messageOffset - the position of the character in the message (undefined if there is no character)
+ * @property {number} wordIndex - the number of word spaces before the event
+ */
+
+var kindsH = {
+    '.': 'dit',
+    '-': 'dah',
+    '+': 'ditSpace',
+    '~': 'ditSpace',
+    ' ': 'charSpace',
+    '/': 'wordSpace'
+};
+
+/**
+ * Get the kind of event for an element of morse.
+ * @param {string} element - e.g. '.', '+' or ' '
+ * @return {string} see TimingEvent; other sounds (such as the long dashes of American Morse) are 'dah'
+ */
+export function getKind(element) {
+    return kindsH[element] || 'dah';
+}
+
+/**
+ * Whether an event is a sound.
+ * @param {TimingEvent} event
+ * @return {boolean}
+ */
+export function isSound(event) {
+    return event.kind === 'dit' || event.kind === 'dah';
+}
+
+/**
+ * Convert events to signed millisecond timings: positive for sounds and negative for silence.
+ * Consecutive silences (e.g. a pause after a word space) are joined into one timing.
+ * @param {TimingEvent[]} events
+ * @return {number[]}
+ */
+export function toTimings(events) {
+    var timings = [];
+    events.forEach(function(event) {
+        if (isSound(event)) {
+            timings.push(event.duration);
+        } else if (timings[timings.length - 1] < 0) {
+            timings[timings.length - 1] -= event.duration;
+        } else {
+            timings.push(-event.duration);
+        }
+    });
+    return timings;
+}
+
+/**
+ * Convert signed millisecond timings to events. Sounds shorter than 2 dits are dits, silences shorter than 2 dits are between the sounds of a character
+ * and silences of 5 (Farnsworth) dits or more are between words. Nothing is known of the characters.
+ * @param {number[]} timings - positive for sounds and negative for silence
+ * @param {number} [ditLength] - the length of a dit in ms (defaults to the shortest sound)
+ * @param {number} [fditLength=ditLength] - the length of a Farnsworth dit in ms, for the spaces between characters and words
+ * @return {TimingEvent[]}
+ */
+export function fromTimings(timings, ditLength, fditLength = ditLength) {
+    if (ditLength === undefined) {
+        ditLength = Math.min.apply(null, timings.filter(function(t) {
+            return t > 0;
+        }));
+        fditLength = ditLength;
+    }
+    var startTime = 0;
+    var wordIndex = 0;
+    return timings.map(function(t) {
+        var element;
+        if (t > 0) {
+            element = t < 2 * ditLength ? '.' : '-';
+        } else if (-t < 2 * ditLength) {
+            element = '+';
+        } else {
+            element = -t < 5 * fditLength ? ' ' : '/';
+        }
+        var event = {
+            kind: getKind(element),
+            element: element,
+            duration: Math.abs(t),
+            startTime: startTime,
+            character: undefined,
+            messageOffset: undefined,
+            wordIndex: wordIndex
+        };
+        startTime += event.duration;
+        if (element === '/') {
+            wordIndex++;
+        }
+        return event;
+    });
+}
@@ -0,0 +1,236 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+import MorseCWWave from './morse-pro-cw-wave';
+import * as Callsign from './morse-pro-callsign';
+import * as Random from './morse-pro-util-random';
+import * as RiffWave from './morse-pro-util-riffwave';
+
+/**
+ * The order in which characters are learnt.
+ * @access private
+ */
+var kochOrder = [
+    'K', 'M', 'U', 'R', 'E', 'S', 'N', 'A', 'P', 'T', 'L', 'W', 'I', '.', 'J', 'Z', '=', 'F', 'O', 'Y',
+    ',', 'V', 'G', '5', '/', 'Q', '9', '2', 'H', '3', '8', 'B', '?', '4', '7', 'C', '1', 'D', '6', '0', 'X'
+];
+
+/**
+ * Common English words for lessons.
+ * @access private
+ */
+var wordList = [
+    'A', 'ABOUT', 'AFTER', 'AGAIN', 'ALL', 'ALSO', 'AM', 'AN', 'AND', 'ANY', 'ARE', 'AS', 'ASK', 'AT', 'AWAY',
+    'BACK', 'BE', 'BEEN', 'BEST', 'BUT', 'BY', 'CALL', 'CAME', 'CAN', 'COME', 'COPY', 'DAY', 'DID', 'DO', 'DOWN',
+    'EACH', 'EAST', 'EVEN', 'FAR', 'FEW', 'FIND', 'FINE', 'FIRST', 'FOR', 'FROM', 'GET', 'GIVE', 'GO', 'GOOD',
+    'GREAT', 'HAD', 'HAS', 'HAVE', 'HE', 'HER', 'HERE', 'HIM', 'HIS', 'HOME', 'HOW', 'I', 'IF', 'IN', 'INTO',
+    'IS', 'IT', 'ITS', 'JUST', 'KEEP', 'KEY', 'KNOW', 'LAST', 'LATE', 'LIKE', 'LITTLE', 'LONG', 'LOOK', 'MADE',
+    'MAKE', 'MAN', 'MANY', 'MAY', 'ME', 'MORE', 'MOST', 'MUCH', 'MUST', 'MY', 'NAME', 'NEAR', 'NEW', 'NEXT',
+    'NO', 'NOT', 'NOW', 'OF', 'OFF', 'OLD', 'ON', 'ONE', 'ONLY', 'OR', 'OTHER', 'OUR', 'OUT', 'OVER', 'PART',
+    'PEOPLE', 'PUT', 'RAIN', 'READ', 'REST', 'RIGHT', 'RUN', 'SAID', 'SAME', 'SAW', 'SAY', 'SEE', 'SEND', 'SET',
+    'SHE', 'SHORT', 'SO', 'SOME', 'SOON', 'STAR', 'STILL', 'SUN', 'TAKE', 'TELL', 'TEN', 'THAN', 'THAT', 'THE',
+    'THEM', 'THEN', 'THERE', 'THESE', 'THEY', 'THIS', 'TIME', 'TO', 'TOO', 'TREE', 'TRUE', 'TRY', 'TWO', 'UP',
+    'US', 'USE', 'VERY', 'WANT', 'WAS', 'WATER', 'WAY', 'WE', 'WELL', 'WENT', 'WERE', 'WEST', 'WHAT', 'WHEN',
+    'WHERE', 'WHICH', 'WHO', 'WILL', 'WITH', 'WORD', 'WORK', 'YEAR', 'YES', 'YOU', 'YOUR'
+];
+
+/**
+ * Class to generate lessons for the Koch method: characters are learnt in a fixed order, at full speed (slowing the spaces with Farnsworth timing if need be),
+ * and a new one is added once the learner can copy the ones they have with 90% accuracy.
+ * Each lesson is translated ready to play; the same seed always gives the same lesson.
+ *
+ * @example
+ * import MorseTrainer from 'morse-pro-trainer';
+ * var trainer = new MorseTrainer(true, 20, 10);
+ * trainer.seed = 'week 3';
+ * trainer.level = 8;  // K, M, U, R, E, S, N and A
+ * trainer.generateGroups(10);  // e.g. "KMRUE SKAMR ..." with more of the newest characters
+ * var timings = trainer.getTimings();
+ * var wav = trainer.getWAV();
+ */
+export default class MorseTrainer extends MorseCWWave {
+    constructor(useProsigns, wpm, fwpm, frequency, sampleRate) {
+        super(useProsigns, wpm, fwpm, frequency, sampleRate);
+        /**
+         * How many characters of the Koch order have been learnt.
+         * @type {number}
+         */
+        this.level = 2;
+        /**
+         * The number of characters in each random group.
+         * @type {number}
+         */
+        this.groupLength = 5;
+        /**
+         * How many of the characters learnt count as new.
+         * @type {number}
+         */
+        this.newCharacters = 2;
+        /**
+         * How much more likely the new characters are than the others in random groups.
+         * @type {number}
+         */
+        this.newWeight = 3;
+        /**
+         * The seed (see morse-pro-util-random); setting it starts the random lessons again, and undefined gives a random seed.
+         * @type {number|string}
+         */
+        this.seed = undefined;
+    }
+
+    /**
+     * Get the order in which characters are learnt (as used by LCWO, '=' is the <BT> prosign).
+     * @return {string[]}
+     */
+    static getKochOrder() {
+        return kochOrder.slice();
+    }
+
+    /**
+     * The characters learnt so far: the first "level" characters in the Koch order.
+     * @type {string[]}
+     */
+    get characters() {
+        return kochOrder.slice(0, this.level);
+    }
+
+    /**
+     * Generate random groups of the characters learnt, with the new ones more likely, and translate them.
+     * @param {number} [count=10] - the number of groups
+     * @return {string} the groups, separated by spaces
+     */
+    generateGroups(count = 10) {
+        var characters = this.characters;
+        var weights = characters.map(function(c, i) {
+            return i >= characters.length - this.newCharacters ? this.newWeight : 1;
+        }, this);
+        var groups = [];
+        for (var i = 0; i < count; i++) {
+            var group = "";
+            for (var j = 0; j < this.groupLength; j++) {
+                group += Random.pick(this._random, characters, weights);
+            }
+            groups.push(group);
+        }
+        return this.translateLesson(groups.join(' '));
+    }
+
+    /**
+     * Generate random words which only use some characters, and translate them.
+     * @param {number} [count=10] - the number of words
+     * @param {string|string[]} [characters=this.characters] - the characters which may be used
+     * @return {string} the words, separated by spaces
+     * @throws {Error} if no words can be made from the characters
+     */
+    generateWords(count = 10, characters = this.characters) {
+        var words = this.getWords(characters);
+        var ret = [];
+        for (var i = 0; i < count; i++) {
+            ret.push(Random.pick(this._random, words));
+        }
+        return this.translateLesson(ret.join(' '));
+    }
+
+    /**
+     * Generate random callsigns which only use some characters, and translate them.
+     * @param {number} [count=10] - the number of callsigns
+     * @param {string|string[]} [characters=this.characters] - the characters which may be used
+     * @return {string} the callsigns, separated by spaces
+     * @throws {Error} if the characters do not include a letter and a digit
+     */
+    generateCallsigns(count = 10, characters = this.characters) {
+        var ret = [];
+        for (var i = 0; i < count; i++) {
+            ret.push(Callsign.randomCallsign(this._random, join(characters)));
+        }
+        return this.translateLesson(ret.join(' '));
+    }
+
+    /**
+     * Generate random sentences of words which only use some characters, and translate them.
+     * Full stops, commas and question marks are used if they are in the characters.
+     * @param {number} [count=20] - the number of words
+     * @param {string|string[]} [characters=this.characters] - the characters which may be used
+     * @return {string} the text
+     * @throws {Error} if no words can be made from the characters
+     */
+    generateText(count = 20, characters = this.characters) {
+        var words = this.getWords(characters);
+        var text = "";
+        var sentenceLength = 0;
+        for (var i = 0; i < count; i++) {
+            text += (sentenceLength > 0 ? ' ' : '') + Random.pick(this._random, words);
+            sentenceLength++;
+            var end = (i === count - 1) || (sentenceLength >= 4 && this._random() < 0.3);
+            if (end) {
+                var stop = Random.pick(this._random, ['.', '.', '.', '?'].filter(function(c) {
+                    return join(characters).indexOf(c) !== -1;
+                }));
+                text += (stop || '') + (i < count - 1 ? ' ' : '');
+                sentenceLength = 0;
+            } else if (join(characters).indexOf(',') !== -1 && this._random() < 0.1) {
+                text += ',';
+            }
+        }
+        return this.translateLesson(text);
+    }
+
+    /**
+     * Get the words from the word list which only use some characters.
+     * @param {string|string[]} characters
+     * @return {string[]}
+     * @throws {Error} if there are none
+     * @access private
+     */
+    getWords(characters) {
+        var allowed = join(characters);
+        var ret = wordList.filter(function(word) {
+            return word.split('').every(function(c) {
+                return allowed.indexOf(c) !== -1;
+            });
+        });
+        if (ret.length === 0) {
+            throw new Error('No words can be made from "' + allowed + '"');
+        }
+        return ret;
+    }
+
+    /**
+     * Translate a lesson so that it is ready to play.
+     * @param {string} text
+     * @return {string} the text
+     * @access private
+     */
+    translateLesson(text) {
+        this.translate(text, false);
+        return text;
+    }
+
+    /**
+     * Get the lesson as a WAV file.
+     * @param {number} [bitsPerSample=8] - 8 or 16
+     * @return {number[]} the bytes of the file (see morse-pro-util-riffwave)
+     */
+    getWAV(bitsPerSample = 8) {
+        return RiffWave.getData(this.getSample(), this.sampleRate, bitsPerSample);
+    }
+}
+
+Random.addSeed(MorseTrainer);
+
+/**
+ * Join a list of characters into a string.
+ * @access private
+ */
+function join(characters) {
+    return Array.isArray(characters) ? characters.join('') : characters.toUpperCase();
+}
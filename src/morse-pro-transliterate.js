@@ -0,0 +1,104 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+/**
+ * Substitutes for characters which have no Morse code, used by text2morse when it is asked to transliterate.
+ *
+ * @example
+ * import * as Morse from 'morse-pro';
+ * var res = Morse.text2morse("Café – naïve", true, {unsupported: 'transliterate'});
+ * // res.message is "CAFE - NAIVE"
+ * // res.substitutions lists what was replaced
+ */
+
+var transliterationH = {
+    // quotes and apostrophes
+    '‘': "'",
+    '’': "'",
+    '‚': "'",
+    '‛': "'",
+    '′': "'",
+    '`': "'",
+    '´': "'",
+    '“': '"',
+    '”': '"',
+    '„': '"',
+    '‟': '"',
+    '″': '"',
+    '«': '"',
+    '»': '"',
+    '‹': '"',
+    '›': '"',
+    // dashes and other punctuation
+    '‐': '-',
+    '‑': '-',
+    '‒': '-',
+    '–': '-',
+    '—': '-',
+    '―': '-',
+    '−': '-',
+    '_': '-',
+    '…': '...',
+    '·': '.',
+    ';': ',',
+    '¿': '?',
+    '¡': '!',
+    '[': '(',
+    ']': ')',
+    '{': '(',
+    '}': ')',
+    '×': 'X',
+    '÷': '/',
+    '%': '0/0',
+    ' ': ' ', // no-break space
+    // letters which do not decompose into a latin letter and an accent
+    'ẞ': 'SS',
+    'ß': 'SS',
+    'Æ': 'AE',
+    'Œ': 'OE',
+    'Ø': 'O',
+    'Ł': 'L',
+    'Đ': 'D',
+    'Ð': 'D',
+    'Þ': 'TH',
+    'Ħ': 'H',
+    'Ŧ': 'T',
+    'Ŋ': 'NG',
+    'ı': 'I'
+};
+
+/**
+ * Get a substitute for a character with no Morse code.
+ * Accented letters are replaced by the letter without the accent; other characters are looked up in a table.
+ * @param {string} character - the (upper-case) character
+ * @return {string} the substitute, or undefined if there is none
+ */
+export function transliterate(character) {
+    if (transliterationH[character] !== undefined) {
+        return transliterationH[character];
+    }
+    var plain = character.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    if (plain !== character && plain !== '') {
+        return plain;
+    }
+    return undefined;
+}
+
+/**
+ * Add to or override the table of substitutes.
+ * @param {Object} dict - dictionary of (upper-case) characters to their substitutes, e.g. {'€': 'EUR'}
+ */
+export function addTransliterations(dict) {
+    for (var c in dict) {
+        transliterationH[c] = dict[c];
+    }
+}
@@ -0,0 +1,109 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+import * as Morse from './morse-pro';
+
+/**
+ * The Morse code tree of an alphabet: starting from the root, each dit or dah leads to a branch.
+ * Each node has the morse that leads to it, the text it decodes to (undefined if there is none) and its children, keyed by element ('.' and '-', and others such as '_' in American Morse).
+ * The tree is a plain object, so it can be given to JSON.stringify for rendering.
+ *
+ * @example
+ * import * as Tree from 'morse-pro-tree';
+ * var tree = Tree.buildTree();
+ * Tree.walk(tree, '.-').text;  // 'A'
+ * Tree.candidates('.-.');  // [{morse: '.-.', text: 'R'}, {morse: '.-..', text: 'L'}, {morse: '.-.-', text: '<AA>'}, ...]
+ */
+
+/**
+ * Build the tree from the translation tables of an alphabet.
+ * @param {string} [alphabet] - name of the alphabet (defaults to the selected alphabet)
+ * @param {boolean} [useProsigns=true] - whether to include prosigns
+ * @return {{morse: string, text: string, children: Object}} the root node
+ */
+export function buildTree(alphabet, useProsigns = true) {
+    var tables = Morse.getAlphabet(alphabet);
+    var dict = useProsigns ? tables.morsepro2text : tables.morse2text;
+    var root = node('');
+    for (var morse in dict) {
+        if (morse === '/') {
+            continue;
+        }
+        var n = root;
+        for (var i = 0; i < morse.length; i++) {
+            if (n.children[morse[i]] === undefined) {
+                n.children[morse[i]] = node(morse.slice(0, i + 1));
+            }
+            n = n.children[morse[i]];
+        }
+        n.text = dict[morse];
+    }
+    return root;
+}
+
+/**
+ * @access private
+ */
+function node(morse) {
+    return {
+        morse: morse,
+        text: undefined,
+        children: {}
+    };
+}
+
+/**
+ * Follow the branches of the tree for some morse.
+ * @param {Object} tree - the tree (or any node of it)
+ * @param {string} morse - the elements to follow, e.g. '.-'
+ * @return {Object} the node reached, or undefined if there is no such branch
+ */
+export function walk(tree, morse) {
+    var n = tree;
+    for (var i = 0; i < morse.length && n !== undefined; i++) {
+        n = n.children[morse[i]];
+    }
+    return n;
+}
+
+/**
+ * List every character which can be reached from some partial morse, nearest first.
+ * @param {string} morse - the morse so far, e.g. '.-'
+ * @param {string|Object} [alphabet] - name of the alphabet (defaults to the selected alphabet) or a tree from buildTree
+ * @param {boolean} [useProsigns=true] - whether to include prosigns
+ * @return {{morse: string, text: string}[]} the candidates, including the morse itself if it is a character
+ */
+export function candidates(morse, alphabet, useProsigns = true) {
+    var tree = (typeof alphabet === 'object') ? alphabet : buildTree(alphabet, useProsigns);
+    var ret = [];
+    var queue = [walk(tree, morse)];
+    while (queue.length > 0 && queue[0] !== undefined) {
+        var n = queue.shift();
+        if (n.text !== undefined) {
+            ret.push({morse: n.morse, text: n.text});
+        }
+        for (var element in n.children) {
+            queue.push(n.children[element]);
+        }
+    }
+    return ret;
+}
+
+/**
+ * Export the tree as JSON for rendering.
+ * @param {string} [alphabet] - name of the alphabet (defaults to the selected alphabet)
+ * @param {boolean} [useProsigns=true] - whether to include prosigns
+ * @return {string}
+ */
+export function exportTree(alphabet, useProsigns = true) {
+    return JSON.stringify(buildTree(alphabet, useProsigns));
+}
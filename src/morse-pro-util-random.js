@@ -0,0 +1,115 @@
+/*!
+This code is © Copyright Stephen C. Phillips, 2018.
+Email: steve@scphillips.com
+*/
+/*
+Licensed under the EUPL, Version 1.2 or – as soon they will be approved by the European Commission - subsequent versions of the EUPL (the "Licence");
+You may not use this work except in compliance with the Licence.
+You may obtain a copy of the Licence at: https://joinup.ec.europa.eu/community/eupl/
+Unless required by applicable law or agreed to in writing, software distributed under the Licence is distributed on an "AS IS" basis, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the Licence for the specific language governing permissions and limitations under the Licence.
+*/
+
+/**
+ * Utility for seedable random numbers, so that anything generated (e.g. a lesson) can be reproduced.
+ *
+ * @example
+ * import * as Random from 'morse-pro-util-random';
+ * var random = Random.createRandom('lesson 1');
+ * random();  // the same number in [0, 1) every time for this seed
+ * Random.gaussian(random, 0, 10);
+ * Random.pick(random, ['A', 'B', 'C'], [1, 1, 2]);  // 'C' is twice as likely as the others
+ */
+
+/**
+ * Create a random number generator (mulberry32).
+ * @param {number|string} [seed] - any number or string; if not given then a random seed is used
+ * @return {function(): number} a function returning numbers in [0, 1)
+ */
+export function createRandom(seed = Math.floor(Math.random() * 4294967296)) {
+    var state = typeof seed === 'string' ? hash(seed) : seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Give a class a "seed" property. Setting it makes a new random number generator, this._random, so that what an instance makes is the same each time for the seed.
+ * @param {Function} cls - the class
+ */
+export function addSeed(cls) {
+    Object.defineProperty(cls.prototype, 'seed', {
+        get: function() {
+            return this._seed;
+        },
+        set: function(seed) {
+            this._seed = seed;
+            this._random = createRandom(seed);
+        },
+        configurable: true
+    });
+}
+
+/**
+ * Hash a string to 32 bits (FNV-1a).
+ * @access private
+ */
+function hash(s) {
+    var h = 0x811C9DC5;
+    for (var i = 0; i < s.length; i++) {
+        h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Get a normally distributed number (Box-Muller).
+ * @param {function(): number} random - from createRandom
+ * @param {number} [mean=0]
+ * @param {number} [sd=1] - the standard deviation
+ * @return {number}
+ */
+export function gaussian(random, mean = 0, sd = 1) {
+    var u = 1 - random();  // in (0, 1] so that the log is finite
+    var v = random();
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Get a random integer.
+ * @param {function(): number} random - from createRandom
+ * @param {number} min
+ * @param {number} max - (inclusive)
+ * @return {number}
+ */
+export function integer(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Pick an item from an array.
+ * @param {function(): number} random - from createRandom
+ * @param {Array} items
+ * @param {number[]} [weights] - the relative likelihood of each item (all the same if not given)
+ * @return {*} the item, or undefined if there are none
+ */
+export function pick(random, items, weights) {
+    if (weights === undefined) {
+        return items[Math.floor(random() * items.length)];
+    }
+    var total = weights.reduce(function(sum, w) {
+        return sum + w;
+    }, 0);
+    var r = random() * total;
+    for (var i = 0; i < items.length; i++) {
+        r -= weights[i];
+        if (r < 0) {
+            return items[i];
+        }
+    }
+    return items[items.length - 1];
+}
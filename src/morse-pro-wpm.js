@@ -12,89 +12,208 @@ See the Licence for the specific language governing permissions and limitations
 
 /**
  * Useful constants and functions for computing the speed of Morse code.
+ * Speeds are in words per minute using a standard word: "PARIS " by default, or "CODEX " which some training programs and regulations use.
+ * Each function takes the name of the standard as an optional last parameter.
  */
 
-const DITS_PER_WORD = 50;  /** dits in "PARIS " */
-const SPACES_IN_PARIS = 19;  /** 5x 3-dit inter-character spaces + 1x 7-dit space */
 const MS_IN_MINUTE = 60000;  /** number of milliseconds in 1 minute */
+const CHARS_PER_WORD = 5;  /** both standard words have 5 characters */
+const WORD_SPACE = 7;  /** dits in the space at the end of a standard word */
+
+/**
+ * The length of each standard word in dits, and how many of those dits are spaces between characters and words.
+ * For "PARIS " the spaces are 4x 3-dit inter-character spaces + 1x 7-dit space. "CODEX " has the same spaces.
+ */
+var standardsH = {
+    'PARIS': {ditsPerWord: 50, spacesPerWord: 19},
+    'CODEX': {ditsPerWord: 60, spacesPerWord: 19}
+};
+
+/**
+ * @access private
+ */
+function getStandard(standard) {
+    if (standardsH[standard] === undefined) {
+        throw new Error('Unknown timing standard: "' + standard + '"');
+    }
+    return standardsH[standard];
+}
+
+/**
+ * Get the names of the timing standards.
+ * @return {string[]}
+ */
+export function getStandardNames() {
+    return Object.keys(standardsH);
+}
 
 /** Get the dit length in ms
  * @param {number} wpm - speed in words per minute
+ * @param {string} [standard='PARIS'] - the standard word
  * @return {integer}
  */
-export function ditLength(wpm) {
-    return Math.round(_ditLength(wpm));
+export function ditLength(wpm, standard = 'PARIS') {
+    return Math.round(_ditLength(wpm, standard));
 }
 
-function _ditLength(wpm) {
-    return (MS_IN_MINUTE / DITS_PER_WORD) / wpm;
+function _ditLength(wpm, standard) {
+    return (MS_IN_MINUTE / getStandard(standard).ditsPerWord) / wpm;
 }
 
 /**
  * Get the dah length in ms
  * @param {number} wpm - speed in words per minute
+ * @param {string} [standard='PARIS'] - the standard word
+ * @param {number} [ratio=3] - the dah:dit ratio
  * @return {integer}
  */
-export function dahLength(wpm) {
-    return Math.round(3 * _ditLength(wpm));
+export function dahLength(wpm, standard = 'PARIS', ratio = 3) {
+    return Math.round(ratio * _ditLength(wpm, standard));
+}
+
+/**
+ * Get how much longer in ms each sound is (and so how much shorter each following space is) for a weighting.
+ * The weighting is a percentage: at 50 a dit is the same length as the space after it, at 60 it is 1.2 dits long and the space is 0.8 dits.
+ * @param {number} wpm - speed in words per minute
+ * @param {number} [weighting=50] - the weighting, between 0 and 100
+ * @param {string} [standard='PARIS'] - the standard word
+ * @return {integer} the change in length (negative for a weighting below 50)
+ */
+export function weightingDelta(wpm, weighting = 50, standard = 'PARIS') {
+    return Math.round(_ditLength(wpm, standard) * (weighting - 50) / 50);
 }
 
 /**
  * Get the dit space in ms
  * @param {number} wpm - speed in words per minute
+ * @param {string} [standard='PARIS'] - the standard word
  * @return {integer}
  */
-export function ditSpace(wpm) {
-    return ditLength(wpm)
+export function ditSpace(wpm, standard = 'PARIS') {
+    return ditLength(wpm, standard)
 }
 
 /**
  * Get the character-space in ms
  * @param {number} wpm - speed in words per minute
  * @param {number} [fwpm = wpm] - Farnsworth speed in words per minute
+ * @param {string} [standard='PARIS'] - the standard word
  * @return {integer}
  */
-export function charSpace(wpm, fwpm = wpm) {
-    return Math.round(3 * _fditLength(wpm, fwpm));
+export function charSpace(wpm, fwpm = wpm, standard = 'PARIS') {
+    return Math.round(3 * _fditLength(wpm, fwpm, standard));
 }
 
 /**
  * Get the word-space in ms
  * @param {number} wpm - speed in words per minute
  * @param {number} [fwpm = wpm] - Farnsworth speed in words per minute
+ * @param {string} [standard='PARIS'] - the standard word
+ * @return {integer}
+ */
+export function wordSpace(wpm, fwpm = wpm, standard = 'PARIS') {
+    return Math.round(7 * _fditLength(wpm, fwpm, standard));
+}
+
+/**
+ * Get the length in ms of an element which is a number of dits long.
+ * Spaces between characters and words are slowed down by the Farnsworth speed, other elements are not.
+ * @param {number} units - length of the element in dits
+ * @param {number} wpm - speed in words per minute
+ * @param {number} [fwpm = wpm] - Farnsworth speed in words per minute (leave undefined for sounds and spaces inside characters)
+ * @param {string} [standard='PARIS'] - the standard word
  * @return {integer}
  */
-export function wordSpace(wpm, fwpm = wpm) {
-    return Math.round(7 * _fditLength(wpm, fwpm));
+export function elementLength(units, wpm, fwpm = wpm, standard = 'PARIS') {
+    return Math.round(units * _fditLength(wpm, fwpm, standard));
 }
 
 /**
  * Get the WPM for a given dit length in ms
+ * @param {number} ditLen - dit length in ms
+ * @param {string} [standard='PARIS'] - the standard word
  * @return {number}
  */
-export function wpm(ditLen) {
-    return (MS_IN_MINUTE / DITS_PER_WORD) / ditLen;
+export function wpm(ditLen, standard = 'PARIS') {
+    return (MS_IN_MINUTE / getStandard(standard).ditsPerWord) / ditLen;
 }
 
 /**
  * Get the Farnsworth dit length in ms for a given WPM and Farnsworth WPM. Note, actual dit-spaces should not be slowed down
+ * @param {string} [standard='PARIS'] - the standard word
+ * @return {integer}
+ */
+export function fditLength(wpm, fwpm, standard = 'PARIS') {
+    return Math.round(_fditLength(wpm, fwpm, standard));
+}
+
+function _fditLength(wpm, fwpm, standard) {
+    return _ditLength(wpm, standard) * ratio(wpm, fwpm, standard);
+}
+
+/**
+ * Get the dit length in ms used for word spaces with Wordsworth timing, where only the spaces between words are slowed down to give the Farnsworth WPM.
+ * @param {number} wpm - speed in words per minute
+ * @param {number} fwpm - overall speed in words per minute
+ * @param {string} [standard='PARIS'] - the standard word
  * @return {integer}
  */
-export function fditLength(wpm, fwpm) {
-    return Math.round(_fditLength(wpm, fwpm));
+export function wordsworthDitLength(wpm, fwpm, standard = 'PARIS') {
+    return Math.round(_wordsworthDitLength(wpm, fwpm, standard));
 }
 
-function _fditLength(wpm, fwpm) {
-    return _ditLength(wpm) * ratio(wpm, fwpm);
+function _wordsworthDitLength(wpm, fwpm, standard) {
+    // the characters and the spaces between them take (ditsPerWord - 7) dits at wpm and the rest of the time at fwpm is the word space
+    return (MS_IN_MINUTE / fwpm - (getStandard(standard).ditsPerWord - WORD_SPACE) * _ditLength(wpm, standard)) / WORD_SPACE;
+}
+
+/**
+ * Get the overall WPM with Wordsworth timing for a given dit length and word space dit length
+ * @param {number} ditLen - dit length in ms
+ * @param {number} wordDitLen - dit length used for word spaces in ms
+ * @param {string} [standard='PARIS'] - the standard word
+ * @return {number}
+ */
+export function wordsworthFwpm(ditLen, wordDitLen, standard = 'PARIS') {
+    return MS_IN_MINUTE / ((getStandard(standard).ditsPerWord - WORD_SPACE) * ditLen + WORD_SPACE * wordDitLen);
+}
+
+/**
+ * Get the length of a space between characters or words in ms using a spacing scheme:
+ *   'farnsworth' - the spaces between characters and words are slowed down by the same factor to give the Farnsworth WPM;
+ *   'wordsworth' - only the spaces between words are slowed down;
+ *   {charSpace: number, wordSpace: number} - the lengths of the spaces in ms are given explicitly.
+ * @param {number} units - length of the space in dits (normally 3 between characters and 7 between words)
+ * @param {string} space - ' ' for a space between characters or '/' for a space between words
+ * @param {number} wpm - speed in words per minute
+ * @param {number} [fwpm = wpm] - Farnsworth (overall) speed in words per minute
+ * @param {string|Object} [spacing='farnsworth'] - the spacing scheme
+ * @param {string} [standard='PARIS'] - the standard word
+ * @return {integer}
+ * @throws {Error} if the spacing scheme is unknown
+ */
+export function spaceLength(units, space, wpm, fwpm = wpm, spacing = 'farnsworth', standard = 'PARIS') {
+    if (typeof spacing === 'object') {
+        return space === '/' ? spacing.wordSpace : spacing.charSpace;
+    }
+    switch (spacing) {
+        case 'farnsworth':
+            return Math.round(units * _fditLength(wpm, fwpm, standard));
+        case 'wordsworth':
+            return Math.round(units * (space === '/' ? _wordsworthDitLength(wpm, fwpm, standard) : _ditLength(wpm, standard)));
+        default:
+            throw new Error('Unknown spacing scheme: "' + spacing + '"');
+    }
 }
 
 /**
  * Get the dit length ratio for a given WPM and Farnsworth WPM
  * @param {number} wpm - speed in words per minute
  * @param {number} fwpm - Farnsworth speed in words per minute
+ * @param {string} [standard='PARIS'] - the standard word
  * @return {number}
  */
-export function ratio(wpm, fwpm) {
+export function ratio(wpm, fwpm, standard = 'PARIS') {
     // "PARIS " is 31 units for the characters and 19 units for the inter-character spaces and inter-word space
     // One unit takes 1 * 60 / (50 * wpm)
     // The 31 units should take 31 * 60 / (50 * wpm) seconds at wpm
@@ -104,10 +223,65 @@ export function ratio(wpm, fwpm) {
     // The spaces are 4 inter-character spaces of 3 units and 1 inter-word space of 7 units. Their ratio must be maintained.
     // A space unit is: [(60 / fwpm) - [31 * 60 / (50 * wpm)]] / 19 seconds
     // Comparing that to 60 / (50 * wpm) gives a ratio of (50.wpm - 31.fwpm) / 19.fwpm
-    return (DITS_PER_WORD * wpm - (DITS_PER_WORD - SPACES_IN_PARIS) * fwpm) / (SPACES_IN_PARIS * fwpm);
+    // (The same works for other standard words with their own numbers of units.)
+    var s = getStandard(standard);
+    return (s.ditsPerWord * wpm - (s.ditsPerWord - s.spacesPerWord) * fwpm) / (s.spacesPerWord * fwpm);
+}
+
+/**
+ * Get the Farnsworth WPM for a given WPM and ratio
+ * @param {string} [standard='PARIS'] - the standard word
+ */
+export function fwpm(wpm, r, standard = 'PARIS') {
+    var s = getStandard(standard);
+    return s.ditsPerWord * wpm / (s.spacesPerWord * r + (s.ditsPerWord - s.spacesPerWord));
 }
 
-/** Get the Farnsworth WPM for a given WPM and ratio */
-export function fwpm(wpm, r) {
-    return DITS_PER_WORD * wpm / (SPACES_IN_PARIS * r + (DITS_PER_WORD - SPACES_IN_PARIS));
+/**
+ * Convert a speed from one standard word to another, keeping the dit length the same (e.g. 20 WPM PARIS is 16.7 WPM CODEX).
+ * @param {number} wpm - speed in words per minute
+ * @param {string} from - the standard word the speed is in
+ * @param {string} to - the standard word to convert to
+ * @return {number}
+ */
+export function convert(wpm, from, to) {
+    return wpm * getStandard(from).ditsPerWord / getStandard(to).ditsPerWord;
+}
+
+/**
+ * Get the speed in characters per minute (a standard word has 5 characters)
+ * @param {number} wpm - speed in words per minute
+ * @return {number}
+ */
+export function cpm(wpm) {
+    return wpm * CHARS_PER_WORD;
+}
+
+/**
+ * Get the speed in words per minute for a speed in characters per minute
+ * @param {number} cpm - speed in characters per minute
+ * @return {number}
+ */
+export function wpmFromCpm(cpm) {
+    return cpm / CHARS_PER_WORD;
+}
+
+/**
+ * Get the signalling rate in baud (dits per second)
+ * @param {number} wpm - speed in words per minute
+ * @param {string} [standard='PARIS'] - the standard word
+ * @return {number}
+ */
+export function baud(wpm, standard = 'PARIS') {
+    return 1000 / _ditLength(wpm, standard);
+}
+
+/**
+ * Get the speed in words per minute for a signalling rate in baud
+ * @param {number} baud - dits per second
+ * @param {string} [standard='PARIS'] - the standard word
+ * @return {number}
+ */
+export function wpmFromBaud(baud, standard = 'PARIS') {
+    return wpm(1000 / baud, standard);
 }
\ No newline at end of file
@@ -14,6 +14,11 @@ See the Licence for the specific language governing permissions and limitations
  * Basic methods to translate Morse code.
  */
 
+import { transliterate } from './morse-pro-transliterate';
+import * as Fuzzy from './morse-pro-fuzzy';
+import * as Notation from './morse-pro-notation';
+import * as CutNumbers from './morse-pro-cut-numbers';
+
 if (typeof(String.prototype.trim) === "undefined") {
     String.prototype.trim = function() {
         return String(this).replace(/^\s+|\s+$/g, '');
@@ -74,7 +79,6 @@ var text2morseH = {
     '!': "-.-.--",
     ' ': "/" //Not morse but helps translation
 };
-var morse2textH = {};
 var prosign2morseH = {
     '<AA>': '.-.-',
     '<AR>': '.-.-.',
@@ -91,77 +95,887 @@ var prosign2morseH = {
     '<VE>': '...-.',
     '<SOS>': '...---...'
 };
-var morsepro2textH = {};
-var text2morseproH = {};
+var prosignPreferredH = {
+    '...-.-': '<VA>',
+    '...-.': '<VE>'
+};
+
+/**
+ * Extended latin characters used in other European languages.
+ * Several characters share the same morse: the "preferred" entries in the 'latin-extended' alphabet choose which one is decoded.
+ * 'CH' (sent as a single character) is only in the 'latin-extended-ch' alphabet, as it would take the C and H of every English word such as "CHECK".
+ */
+var extended2morseH = {
+    'À': ".--.-",
+    'Á': ".--.-",
+    'Å': ".--.-",
+    'Ä': ".-.-",
+    'Æ': ".-.-",
+    'Ą': ".-.-",
+    'Ç': "-.-..",
+    'Ć': "-.-..",
+    'Ĉ': "-.-..",
+    'Ĥ': "----",
+    'Š': "----",
+    'É': "..-..",
+    'Ę': "..-..",
+    'Đ': "..-..",
+    'È': ".-..-",
+    'Ł': ".-..-",
+    'Ð': "..--.",
+    'Ĝ': "--.-.",
+    'Ĵ': ".---.",
+    'Ñ': "--.--",
+    'Ń': "--.--",
+    'Ö': "---.",
+    'Ó': "---.",
+    'Ø': "---.",
+    'Ś': "...-...",
+    'Ŝ': "...-.",
+    'Þ': ".--..",
+    'Ü': "..--",
+    'Ŭ': "..--",
+    'Ź': "--..-.",
+    'Ż': "--..-"
+};
+
+/**
+ * American (Railroad) Morse. As well as dots and dashes it has a long dash ('_' for L), a longer dash ('=' for zero) and
+ * characters with a space inside them ('~', e.g. C is '..~.').
+ */
+var american2morseH = {
+    'A': ".-",
+    'B': "-...",
+    'C': "..~.",
+    'D': "-..",
+    'E': ".",
+    'F': ".-.",
+    'G': "--.",
+    'H': "....",
+    'I': "..",
+    'J': "-.-.",
+    'K': "-.-",
+    'L': "_",
+    'M': "--",
+    'N': "-.",
+    'O': ".~.",
+    'P': ".....",
+    'Q': "..-.",
+    'R': ".~..",
+    'S': "...",
+    'T': "-",
+    'U': "..-",
+    'V': "...-",
+    'W': ".--",
+    'X': ".-..",
+    'Y': "..~..",
+    'Z': "...~.",
+    '&': ".~...",
+    '1': ".--.",
+    '2': "..-..",
+    '3': "...-.",
+    '4': "....-",
+    '5': "---",
+    '6': "......",
+    '7': "--..",
+    '8': "-....",
+    '9': "-..-",
+    '0': "=",
+    '.': "..--..",
+    ',': ".-.-",
+    '?': "-..-.",
+    '!': "---.",
+    ' ': "/"
+};
+
+/**
+ * Length in dits of each element of International Morse: dit, dah, the space between dits and dahs ('+'), the space between characters (' ') and the space between words ('/').
+ */
+var internationalTimingH = {
+    '.': 1,
+    '-': 3,
+    '+': 1,
+    ' ': 3,
+    '/': 7
+};
+
+/**
+ * Length in dits of each element of American Morse, including the long dashes and the space inside some characters ('~').
+ */
+var americanTimingH = {
+    '.': 1,
+    '-': 2,
+    '_': 4,
+    '=': 5,
+    '+': 1,
+    '~': 2,
+    ' ': 3,
+    '/': 6
+};
+
+/**
+ * Cyrillic (Russian) letters. The digits and punctuation are shared with the latin alphabet.
+ */
+var cyrillic2morseH = {
+    'А': ".-",
+    'Б': "-...",
+    'В': ".--",
+    'Г': "--.",
+    'Д': "-..",
+    'Е': ".",
+    'Ё': ".", // same as Е
+    'Ж': "...-",
+    'З': "--..",
+    'И': "..",
+    'Й': ".---",
+    'К': "-.-",
+    'Л': ".-..",
+    'М': "--",
+    'Н': "-.",
+    'О': "---",
+    'П': ".--.",
+    'Р': ".-.",
+    'С': "...",
+    'Т': "-",
+    'У': "..-",
+    'Ф': "..-.",
+    'Х': "....",
+    'Ц': "-.-.",
+    'Ч': "---.",
+    'Ш': "----",
+    'Щ': "--.-",
+    'Ъ': "--.--",
+    'Ы': "-.--",
+    'Ь': "-..-",
+    'Э': "..-..",
+    'Ю': "..--",
+    'Я': ".-.-"
+};
+
+/**
+ * Greek letters. The digits and punctuation are shared with the latin alphabet.
+ */
+var greek2morseH = {
+    'Α': ".-",
+    'Β': "-...",
+    'Γ': "--.",
+    'Δ': "-..",
+    'Ε': ".",
+    'Ζ': "--..",
+    'Η': "....",
+    'Θ': "-.-.",
+    'Ι': "..",
+    'Κ': "-.-",
+    'Λ': ".-..",
+    'Μ': "--",
+    'Ν': "-.",
+    'Ξ': "-..-",
+    'Ο': "---",
+    'Π': ".--.",
+    'Ρ': ".-.",
+    'Σ': "...",
+    'Τ': "-",
+    'Υ': "-.--",
+    'Φ': "..-.",
+    'Χ': "----",
+    'Ψ': "--.-",
+    'Ω': ".--",
+    'Ά': ".-", // accented vowels are sent as the plain letter
+    'Έ': ".",
+    'Ή': "....",
+    'Ί': "..",
+    'Ϊ': "..",
+    'Ό': "---",
+    'Ύ': "-.--",
+    'Ϋ': "-.--",
+    'Ώ': ".--"
+};
+
+/**
+ * Hebrew letters. The digits and punctuation are shared with the latin alphabet.
+ */
+var hebrew2morseH = {
+    'א': ".-",
+    'ב': "-...",
+    'ג': "--.",
+    'ד': "-..",
+    'ה': "---",
+    'ו': ".",
+    'ז': "--..",
+    'ח': "....",
+    'ט': "..-",
+    'י': "..",
+    'כ': "-.-",
+    'ך': "-.-", // final form of כ
+    'ל': ".-..",
+    'מ': "--",
+    'ם': "--", // final form of מ
+    'נ': "-.",
+    'ן': "-.", // final form of נ
+    'ס': "-.-.",
+    'ע': ".---",
+    'פ': ".--.",
+    'ף': ".--.", // final form of פ
+    'צ': ".--",
+    'ץ': ".--", // final form of צ
+    'ק': "--.-",
+    'ר': ".-.",
+    'ש': "...",
+    'ת': "-"
+};
+
+/**
+ * Japanese Wabun code (katakana). Voiced and semi-voiced kana are sent as the plain kana followed by the (han)dakuten.
+ */
+var wabun2morseH = {
+    'ア': "--.--",
+    'イ': ".-",
+    'ウ': "..-",
+    'エ': "-.---",
+    'オ': ".-...",
+    'カ': ".-..",
+    'キ': "-.-..",
+    'ク': "...-",
+    'ケ': "-.--",
+    'コ': "----",
+    'サ': "-.-.-",
+    'シ': "--.-.",
+    'ス': "---.-",
+    'セ': ".---.",
+    'ソ': "---.",
+    'タ': "-.",
+    'チ': "..-.",
+    'ツ': ".--.",
+    'テ': ".-.--",
+    'ト': "..-..",
+    'ナ': ".-.",
+    'ニ': "-.-.",
+    'ヌ': "....",
+    'ネ': "--.-",
+    'ノ': "..--",
+    'ハ': "-...",
+    'ヒ': "--..-",
+    'フ': "--..",
+    'ヘ': ".",
+    'ホ': "-..",
+    'マ': "-..-",
+    'ミ': "..-.-",
+    'ム': "-",
+    'メ': "-...-",
+    'モ': "-..-.",
+    'ヤ': ".--",
+    'ユ': "-..--",
+    'ヨ': "--",
+    'ラ': "...",
+    'リ': "--.",
+    'ル': "-.--.",
+    'レ': "---",
+    'ロ': ".-.-",
+    'ワ': "-.-",
+    'ヰ': ".-..-",
+    'ヱ': ".--..",
+    'ヲ': ".---",
+    'ン': ".-.-.",
+    '゛': "..", // dakuten
+    '゜': "..--.", // handakuten
+    'ー': ".--.-", // long vowel mark
+    '、': ".-.-.-",
+    '。': ".-.-..",
+    '（': "-.--.-",
+    '）': ".-..-.",
+    '1': ".----",
+    '2': "..---",
+    '3': "...--",
+    '4': "....-",
+    '5': ".....",
+    '6': "-....",
+    '7': "--...",
+    '8': "---..",
+    '9': "----.",
+    '0': "-----",
+    ' ': "/"
+};
+
+/**
+ * Small kana which are sent as their full size equivalent.
+ */
+var smallKanaH = {
+    'ァ': 'ア', 'ィ': 'イ', 'ゥ': 'ウ', 'ェ': 'エ', 'ォ': 'オ', 'ッ': 'ツ',
+    'ャ': 'ヤ', 'ュ': 'ユ', 'ョ': 'ヨ', 'ヮ': 'ワ', 'ヵ': 'カ', 'ヶ': 'ケ'
+};
+
+/**
+ * Convert a hiragana character to katakana, split a voiced kana into the plain kana and the (han)dakuten and replace small kana.
+ * Other characters are returned unchanged.
+ * @param {string} c - a single character
+ * @return {string}
+ * @access private
+ */
+var tidyKana = function(c) {
+    if (!c.match(/[\u3040-\u30ff]/)) {
+        return c;
+    }
+    if (c.match(/[\u3041-\u3096]/)) {
+        c = String.fromCharCode(c.charCodeAt(0) + 0x60);
+    }
+    c = c.normalize('NFD');
+    c = c.replace(/\u3099/g, '゛').replace(/\u309a/g, '゜');
+    c = c.replace(/[ァィゥェォッャュョヮヵヶ]/g, function(small) {
+        return smallKanaH[small];
+    });
+    return c;
+};
+
+/**
+ * The digits, punctuation and space from the latin alphabet, for use with other scripts.
+ */
+var common2morseH = {};
 for (var text in text2morseH) {
-    text2morseproH[text] = text2morseH[text];
-    morse2textH[text2morseH[text]] = text;
-    morsepro2textH[text2morseH[text]] = text;
+    if (!text.match(/[A-Z]/)) {
+        common2morseH[text] = text2morseH[text];
+    }
 }
-for (var sign in prosign2morseH) {
-    text2morseproH[sign] = prosign2morseH[sign];
-    morsepro2textH[prosign2morseH[sign]] = sign;
+
+/**
+ * Registry of alphabets, keyed by name.
+ * Each entry holds the definition it was built from (so that it can be extended) and the built translation tables.
+ */
+var alphabets = {};
+var selectedAlphabet = 'latin';
+
+/**
+ * Copy the entries of one or more objects into a new object.
+ * @access private
+ */
+var merge = function() {
+    var ret = {};
+    for (var i = 0; i < arguments.length; i++) {
+        for (var key in arguments[i]) {
+            ret[key] = arguments[i][key];
+        }
+    }
+    return ret;
+};
+
+/**
+ * Group the keys of a text-to-morse dictionary by their morse.
+ * @access private
+ */
+var groupByMorse = function(dict) {
+    var groups = {};
+    for (var text in dict) {
+        if (groups[dict[text]] === undefined) {
+            groups[dict[text]] = [];
+        }
+        groups[dict[text]].push(text);
+    }
+    return groups;
+};
+
+/**
+ * Choose which of several texts sharing the same morse should be used when decoding it.
+ * @param {string} name - the alphabet name (for error messages)
+ * @param {string} morse - the shared morse
+ * @param {string[]} candidates - the texts which share the morse
+ * @param {Object} preferred - dictionary of morse to a text (or list of texts in priority order)
+ * @param {string} [fallback] - text to use if "preferred" does not resolve the collision
+ * @return {string}
+ * @access private
+ */
+var resolveCollision = function(name, morse, candidates, preferred, fallback) {
+    if (candidates.length === 1) {
+        return candidates[0];
+    }
+    var order = [].concat(preferred[morse] || []);
+    for (var i = 0; i < order.length; i++) {
+        if (candidates.indexOf(order[i]) !== -1) {
+            return order[i];
+        }
+    }
+    if (fallback !== undefined) {
+        return fallback;
+    }
+    throw new Error('Alphabet "' + name + '": morse "' + morse + '" is ambiguous between ' + candidates.join(', ') + ' (add it to "preferred")');
+};
+
+/**
+ * Build the translation tables for an alphabet definition.
+ * Characters which share morse with other characters (or prosigns which share morse with other prosigns) must be resolved by the "preferred" dictionary.
+ * If a prosign shares morse with a character then the prosign is used when decoding with prosigns unless "preferred" says otherwise.
+ * @param {string} name - the alphabet name
+ * @param {Object} definition - see registerAlphabet
+ * @return {Object}
+ * @access private
+ */
+var buildAlphabet = function(name, definition) {
+    var characters = definition.characters || {};
+    var prosigns = definition.prosigns || {};
+    var preferred = definition.preferred || {};
+    var alphabet = {
+        name: name,
+        text2morse: merge(characters),
+        text2morsepro: merge(characters, prosigns),
+        morse2text: {},
+        morsepro2text: {},
+        switches: {},
+        maxTextLength: 1,
+        timing: merge(internationalTimingH, definition.timing),
+        elements: ""
+    };
+    for (var element in alphabet.timing) {
+        if (['+', ' ', '/'].indexOf(element) === -1) {
+            alphabet.elements += element;
+        }
+    }
+    for (var text in characters) {
+        alphabet.maxTextLength = Math.max(alphabet.maxTextLength, text.length);
+    }
+    for (var sign in definition.switches) {
+        if (prosigns[sign] === undefined) {
+            throw new Error('Alphabet "' + name + '": switch ' + sign + ' is not one of its prosigns');
+        }
+        alphabet.switches[prosigns[sign]] = {prosign: sign, alphabet: definition.switches[sign]};
+    }
+    var characterGroups = groupByMorse(characters);
+    var prosignGroups = groupByMorse(prosigns);
+    var morse;
+    for (morse in characterGroups) {
+        alphabet.morse2text[morse] = resolveCollision(name, morse, characterGroups[morse], preferred);
+        alphabet.morsepro2text[morse] = alphabet.morse2text[morse];
+    }
+    for (morse in prosignGroups) {
+        var prosign = resolveCollision(name, morse, prosignGroups[morse], preferred);
+        var candidates = prosignGroups[morse].concat(characterGroups[morse] || []);
+        alphabet.morsepro2text[morse] = resolveCollision(name, morse, candidates, preferred, prosign);
+    }
+    return alphabet;
+};
+
+/**
+ * @access private
+ */
+var getEntry = function(name) {
+    if (alphabets[name] === undefined) {
+        throw new Error('Unknown alphabet: "' + name + '"');
+    }
+    return alphabets[name];
+};
+
+/**
+ * Register a named alphabet, replacing any existing alphabet with the same name.
+ * @param {string} name - the name of the alphabet
+ * @param {Object} definition - the translation tables
+ * @param {string} [definition.extends] - name of a registered alphabet whose definition is used as the starting point
+ * @param {Object} [definition.characters] - dictionary of text characters to morse, e.g. {'A': '.-'}
+ * @param {Object} [definition.prosigns] - dictionary of prosigns to morse, e.g. {'<AR>': '.-.-.'}
+ * @param {Object} [definition.preferred] - dictionary of morse to the text (or list of texts in priority order) to use when decoding morse which is shared by more than one entry
+ * @param {Object} [definition.switches] - dictionary of prosigns to the name of the alphabet that the prosign switches to, e.g. {'<DO>': 'wabun'}
+ * @param {Object} [definition.timing] - length in dits of each element of the code (defaults to International Morse: {'.': 1, '-': 3, '+': 1, ' ': 3, '/': 7}).
+ *     '+' is the space between the sounds in a character, ' ' the space between characters and '/' the space between words.
+ *     Any other entries are additional sounds or spaces (if the key is '~') which may be used in the morse.
+ * @throws {Error} if the base alphabet is unknown, if a switch is not a prosign or if morse is shared by several characters (or several prosigns) without a preferred entry
+ */
+export function registerAlphabet(name, definition) {
+    var base = {};
+    if (definition.extends !== undefined) {
+        base = getEntry(definition.extends).definition;
+    }
+    var combined = {
+        characters: merge(base.characters, definition.characters),
+        prosigns: merge(base.prosigns, definition.prosigns),
+        preferred: merge(base.preferred, definition.preferred),
+        switches: merge(base.switches, definition.switches),
+        timing: merge(base.timing, definition.timing)
+    };
+    alphabets[name] = {
+        definition: combined,
+        alphabet: buildAlphabet(name, combined)
+    };
 }
 
+/**
+ * Add to or override entries in a registered alphabet. The translation tables are rebuilt.
+ * @param {string} name - the name of the alphabet
+ * @param {Object} definition - the additional "characters", "prosigns", "preferred", "switches" and "timing" entries (see registerAlphabet)
+ * @throws {Error} if the alphabet is unknown or the new entries create an unresolved collision (the alphabet is then left unchanged)
+ */
+export function extendAlphabet(name, definition) {
+    registerAlphabet(name, {
+        extends: name,
+        characters: definition.characters,
+        prosigns: definition.prosigns,
+        preferred: definition.preferred,
+        switches: definition.switches,
+        timing: definition.timing
+    });
+}
+
+/**
+ * Get the translation tables of an alphabet. The returned object should be treated as read-only.
+ * @param {string} [name] - the name of the alphabet (defaults to the selected alphabet)
+ * @return {{name: string, text2morse: Object, text2morsepro: Object, morse2text: Object, morsepro2text: Object, switches: Object, timing: Object, elements: string}}
+ *     "elements" has the characters which can be used in the morse, other than spaces and '/'
+ * @throws {Error} if the alphabet is unknown
+ */
+export function getAlphabet(name = selectedAlphabet) {
+    return getEntry(name).alphabet;
+}
+
+/**
+ * @return {string[]} the names of all registered alphabets
+ */
+export function getAlphabetNames() {
+    return Object.keys(alphabets);
+}
+
+/**
+ * Select the alphabet used when none is given explicitly.
+ * @param {string} name - the name of a registered alphabet
+ * @throws {Error} if the alphabet is unknown
+ */
+export function selectAlphabet(name) {
+    getEntry(name);
+    selectedAlphabet = name;
+}
+
+/**
+ * @return {string} the name of the selected alphabet
+ */
+export function getSelectedAlphabet() {
+    return selectedAlphabet;
+}
+
+registerAlphabet('latin', {
+    characters: text2morseH,
+    prosigns: prosign2morseH,
+    preferred: prosignPreferredH,
+    switches: {'<DO>': 'wabun'}
+});
+
+/*
+    Extended characters which share morse with a prosign (Ä, Æ and Ą with <AA>; Ŝ with <SN>/<VE>) are decoded as the prosign
+    when prosigns are used and as the character when they are not. To decode '.-.-' as Ä even when using prosigns:
+        extendAlphabet('latin-extended', {preferred: {'.-.-': ['Ä', '<AA>']}});
+*/
+registerAlphabet('latin-extended', {
+    extends: 'latin',
+    characters: extended2morseH,
+    preferred: {
+        '.--.-': 'Å',
+        '.-.-': ['<AA>', 'Ä'],
+        '-.-..': 'Ç',
+        '----': 'Ĥ',
+        '..-..': 'É',
+        '.-..-': 'È',
+        '--.--': 'Ñ',
+        '---.': 'Ö',
+        '..--': 'Ü'
+    }
+});
+
+registerAlphabet('latin-extended-ch', {
+    extends: 'latin-extended',
+    characters: {'CH': "----"},
+    preferred: {'----': 'CH'}
+});
+
+registerAlphabet('american', {
+    characters: american2morseH,
+    timing: americanTimingH
+});
+
+registerAlphabet('cyrillic', {
+    characters: merge(common2morseH, cyrillic2morseH),
+    prosigns: prosign2morseH,
+    preferred: merge(prosignPreferredH, {
+        '.': 'Е',
+        '.-.-': 'Я'  // rather than <AA>
+    })
+});
+
+registerAlphabet('greek', {
+    characters: merge(common2morseH, greek2morseH),
+    prosigns: prosign2morseH,
+    preferred: merge(prosignPreferredH, {
+        '.-': 'Α',
+        '.': 'Ε',
+        '....': 'Η',
+        '..': 'Ι',
+        '---': 'Ο',
+        '-.--': 'Υ',
+        '.--': 'Ω'
+    })
+});
+
+registerAlphabet('wabun', {
+    characters: wabun2morseH,
+    prosigns: {
+        '<DO>': prosign2morseH['<DO>'],
+        '<SN>': prosign2morseH['<SN>']
+    },
+    switches: {'<SN>': 'latin'}
+});
+
+registerAlphabet('hebrew', {
+    characters: merge(common2morseH, hebrew2morseH),
+    prosigns: prosign2morseH,
+    preferred: merge(prosignPreferredH, {
+        '-.-': 'כ',
+        '--': 'מ',
+        '-.': 'נ',
+        '.--.': 'פ',
+        '.--': 'צ'
+    })
+});
+
+/**
+ * Canonicalise text: upper-case it, trim it, replace each run of whitespace with a single space and tidy kana (see tidyKana).
+ * Upper-casing which changes the length of a character (e.g. 'ß' to 'SS') is reported as a substitution.
+ * @param {string} text
+ * @return {{text: string, offsets: number[], substitutions: Object[]}} the tidied text, the offset in the input of each character of the tidied text and the substitutions
+ * @access private
+ */
 var tidyText = function(text) {
-    text = text.toUpperCase();
-    text = text.trim();
-    text = text.replace(/\s+/g, ' ');
-    return text;
+    var ret = {
+        text: "",
+        offsets: [],
+        substitutions: []
+    };
+    var offset = 0;
+    var space;  // offset of the whitespace waiting to be added
+    Array.from(text).forEach(function(c) {
+        if (c.match(/\s/)) {
+            if (space === undefined && ret.text !== "") {
+                space = offset;
+            }
+        } else {
+            if (space !== undefined) {
+                ret.text += " ";
+                ret.offsets.push(space);
+                space = undefined;
+            }
+            var upper = c.toUpperCase();
+            if (upper.length !== c.length) {
+                ret.substitutions.push({offset: offset, from: c, to: upper});
+            }
+            upper = tidyKana(upper);
+            ret.text += upper;
+            for (var i = 0; i < upper.length; i++) {
+                ret.offsets.push(offset);
+            }
+        }
+        offset += c.length;
+    });
+    return ret;
+};
+
+/**
+ * Get the dictionary for translating text to morse or morse to text.
+ * @access private
+ */
+var getDict = function(alphabet, useProsigns, toMorse) {
+    if (toMorse) {
+        return useProsigns ? alphabet.text2morsepro : alphabet.text2morse;
+    } else {
+        return useProsigns ? alphabet.morsepro2text : alphabet.morse2text;
+    }
+};
+
+/**
+ * Find a prosign which switches from the alphabet to one which can translate the token.
+ * @return {{morse: string, alphabet: Object}} the morse of the switching prosign and the alphabet it switches to, or undefined if there is none
+ * @access private
+ */
+var findSwitch = function(alphabet, token, useProsigns) {
+    for (var morse in alphabet.switches) {
+        var target = getAlphabet(alphabet.switches[morse].alphabet);
+        if (getDict(target, useProsigns, true)[token] !== undefined) {
+            return {morse: morse, alphabet: target};
+        }
+    }
+    return undefined;
 };
 
+/**
+ * Get the next token from the start of some (tidied) text: a prosign, a multi-character entry in the alphabet (e.g. 'CH') or a single character.
+ * @return {string}
+ * @access private
+ */
+var nextToken = function(text, alphabet, useProsigns) {
+    if (useProsigns) {
+        var prosign = text.match(/^<...?>/); // array of matches
+        if (prosign) {
+            return prosign[0];
+        }
+    }
+    for (var length = alphabet.maxTextLength; length > 1; length--) {
+        if (alphabet.text2morse[text.slice(0, length)] !== undefined) {
+            return text.slice(0, length);
+        }
+    }
+    return String.fromCodePoint(text.codePointAt(0));
+};
+
+/**
+ * Translate a substitute for an untranslatable token, without switching alphabet.
+ * @return {string} the morse, or undefined if the substitute cannot be translated
+ * @access private
+ */
+var substituteMorse = function(text, alphabet, useProsigns) {
+    var morse = [];
+    var dict = getDict(alphabet, useProsigns, true);
+    while (text.length > 0) {
+        var t = nextToken(text, alphabet, useProsigns);
+        if (dict[t] === undefined) {
+            return undefined;
+        }
+        morse.push(dict[t]);
+        text = text.slice(t.length);
+    }
+    return morse.join(" ");
+};
+
+/**
+ * Where a token of the input ended up in the translation. Offsets and lengths are in UTF-16 code units, like String.slice.
+ * The single space between the morse of two characters is not part of either span (MorseCW.getSpanAt gives the span before it).
+ * @typedef {Object} Span
+ * @property {number} inputOffset - position of the token in the input (text or morse)
+ * @property {number} inputLength - length of the token in the input (the tokens a character is expanded into, e.g. 'SS' from 'ß', each have the whole character)
+ * @property {number} messageOffset - position of the translated text in the message
+ * @property {number} messageLength - length of the text in the message (0 for a prosign which switches alphabet)
+ * @property {number} morseOffset - position of the token's morse in the morse
+ * @property {number} morseLength - length of the morse
+ */
+
 /**
  * Translate text to morse in '..- .. / --' form.
- * If something in the text is untranslatable then it is surrounded by hash-signs ('#') and a hash is placed in the morse.
+ * If something in the text is untranslatable then what happens depends on the "unsupported" option:
+ *   'error' - it is surrounded by hash-signs ('#') and a hash is placed in the morse;
+ *   'drop' - it is left out;
+ *   'transliterate' - it is replaced by a substitute (e.g. 'é' by 'E', '’' by an apostrophe, see morse-pro-transliterate) or left out if there is none.
+ * Substitutions and dropped characters are listed in the result so that they can be shown to the user, as are the errors.
+ * If prosigns are used and the alphabet cannot translate a character but an alphabet it can switch to (see registerAlphabet) can, then the switching prosign is inserted into the morse.
+ * For instance, kana in latin text is sent in Wabun code between '<DO>' and '<SN>'. Hiragana is sent as katakana.
+ * Without prosigns such characters cannot be translated, as morse2text would not switch alphabet to decode them.
  * @param {string} text - alphanumeric message
  * @param {boolean} useProsigns - true if prosigns are to be used (default is true)
- * @return {{message: string, morse: string, hasError: boolean}}
+ * @param {Object} [options]
+ * @param {string} [options.alphabet] - name of the alphabet to use (defaults to the selected alphabet)
+ * @param {string} [options.unsupported='error'] - what to do with untranslatable text: 'error', 'drop' or 'transliterate'
+ * @param {boolean|string|Object} [options.cutNumbers=false] - send digits in numeric fields as cut numbers (e.g. '599' as '5NN'); the value gives the rules (see morse-pro-cut-numbers) and the cuts are listed in the substitutions
+ * @return {{message: string, morse: string, hasError: boolean, alphabet: string, substitutions: {offset: number, from: string, to: string}[], errors: {inputOffset: number, token: string, outputOffset: number, reason: string}[]}}
+ *   the alphabet is the one in use at the end of the message; the offset of a substitution is its position in the text ('to' is empty if it was dropped);
+ *   each error gives the position and text of the untranslatable token in the input and the position of its '#' in the morse
+ *   The result also has "spans" linking each token of the input to its place in the message and the morse (see Span); the switching prosigns inserted by the translation have no span.
  */
-export function text2morse(text, useProsigns = true) {
-    text = tidyText(text);
+export function text2morse(text, useProsigns = true, options = {}) {
+    var alphabet = getAlphabet(options.alphabet);
+    var unsupported = options.unsupported || 'error';
+    if (['error', 'drop', 'transliterate'].indexOf(unsupported) === -1) {
+        throw new Error('Unknown policy for unsupported text: "' + unsupported + '"');
+    }
+    var input = text;
+    var tidy = tidyText(text);
+    if (options.cutNumbers) {
+        var cut = CutNumbers.encode(tidy.text, options.cutNumbers);
+        cut.substitutions.forEach(function(substitution) {
+            substitution.offset = tidy.offsets[substitution.offset];
+            tidy.substitutions.push(substitution);
+        });
+        tidy.text = cut.text;
+    }
+    text = tidy.text;
     var ret = {
         morse: "",
         message: "",
-        hasError: false
+        hasError: false,
+        alphabet: alphabet.name,
+        substitutions: tidy.substitutions,
+        errors: [],
+        spans: []
     };
     if (text === "") {
         return ret;
     }
 
-    var tokens = [];
-    var prosign;
-    var token_length;
-    while (text.length > 0) {
-        token_length = 1;
-        if (useProsigns) {
-            prosign = text.match(/^<...?>/); // array of matches
-            if (prosign) {
-                token_length = prosign[0].length;
+    var pos = 0;
+    var c, t, offset, end, raw, source, change, substitute;
+    var emit = function(message, morse) {
+        ret.spans.push({
+            inputOffset: offset,
+            inputLength: t === " " ? raw.length : source.length,
+            messageOffset: ret.message.length,
+            messageLength: message.length,
+            morseOffset: ret.morse.length,
+            morseLength: morse.length
+        });
+        ret.message += message;
+        ret.morse += morse + " ";
+    };
+    while (pos < text.length) {
+        t = nextToken(text.slice(pos), alphabet, useProsigns);
+        offset = tidy.offsets[pos];
+        pos += t.length;
+        end = pos;  // a character expanded by tidyText (e.g. 'ß' to 'SS') is the source of every token it became
+        while (end < text.length && tidy.offsets[end] === tidy.offsets[pos - 1]) {
+            end++;
+        }
+        raw = input.slice(offset, end < text.length ? tidy.offsets[end] : input.length);
+        source = raw.replace(/\s+$/, "");
+        c = getDict(alphabet, useProsigns, true)[t];
+        if (c === undefined) {
+            change = useProsigns ? findSwitch(alphabet, t, useProsigns) : undefined;
+            if (change !== undefined) {
+                ret.morse += change.morse + " ";
+                alphabet = change.alphabet;
+                c = getDict(alphabet, useProsigns, true)[t];
             }
+        } else if (useProsigns && alphabet.switches[c] !== undefined) {
+            // the text has an explicit switching prosign
+            alphabet = getAlphabet(alphabet.switches[c].alphabet);
+        }
+        if (c === undefined && unsupported !== 'error') {
+            substitute = "";
+            if (unsupported === 'transliterate') {
+                substitute = transliterate(t);
+                c = substitute === undefined ? undefined : substituteMorse(substitute, alphabet, useProsigns);
+                if (c === undefined) {
+                    substitute = "";
+                }
+            }
+            ret.substitutions.push({offset: offset, from: source, to: substitute});
+            if (c === undefined) {
+                continue;
+            }
+            t = substitute;
         }
-        tokens.push(text.slice(0, token_length));
-        text = text.slice(token_length, text.length);
-    }
-    var dict;
-    if (useProsigns) {
-        dict = text2morseproH;
-    } else {
-        dict = text2morseH;
-    }
-    var i, c, t;
-    for (i = 0; i < tokens.length; i++) {
-        t = tokens[i];
-        c = dict[t];
         if (c === undefined) {
-            ret.message += "#" + t + "#";
-            ret.morse += "# ";
+            ret.errors.push({
+                inputOffset: offset,
+                token: source,
+                outputOffset: ret.morse.length,
+                reason: 'No Morse code for "' + t + '" in the ' + alphabet.name + ' alphabet'
+            });
+            emit("#" + t + "#", "#");
             ret.hasError = true;
+        } else if (c === "/" && (ret.morse === "" || ret.morse.slice(-2) === "/ ")) {
+            // avoid leading or repeated spaces where something was dropped
+            continue;
         } else {
-            ret.message += t;
-            ret.morse += c + " ";
+            emit(t, c);
         }
     }
+    if (ret.morse.slice(-2) === "/ ") {
+        // the end of the text was dropped
+        ret.morse = ret.morse.slice(0, -2);
+        ret.message = ret.message.slice(0, -1);
+        ret.spans.pop();
+    }
     ret.morse = ret.morse.slice(0, ret.morse.length - 1);
+    ret.alphabet = alphabet.name;
+    ret.substitutions.sort(function(a, b) {
+        return a.offset - b.offset;
+    });
     return ret;
 }
 
@@ -169,88 +983,162 @@ export function text2morse(text, useProsigns = true) {
  * Translate text to morse in 'Di-di-dah dah' form.
  * @param {string} text - alphanumeric message
  * @param {boolean} useProsigns - true if prosigns are to be used (default is true)
+ * @param {Object} [options] - see text2morse
  * @return {string}
  */
-export function text2ditdah(text, useProsigns) {
+export function text2ditdah(text, useProsigns, options) {
     // TODO: deal with errors in the translation
-    var ditdah = text2morse(text, useProsigns).morse + ' '; // get the dots and dashes
-    ditdah = ditdah.replace(/\./g, 'di~').replace(/\-/g, 'dah~'); // do the basic job
-    ditdah = ditdah.replace(/~/g, '-'); // replace placeholder with dash
-    ditdah = ditdah.replace(/\- /g, ' '); // remove trailing dashes
-    ditdah = ditdah.replace(/di /g, 'dit '); // use 'dit' at end of letter
-    ditdah = ditdah.replace(/ \/ /g, ', '); // do punctuation
-    ditdah = ditdah.replace(/^d/, 'D'); // do capitalisation
-    ditdah = ditdah.replace(/ $/, ''); // remove the space we added
-    ditdah = ditdah.replace(/([th])$/, '$1.'); // add full-stop if there is anything there
-    return ditdah;
+    return Notation.toDitDah(text2morse(text, useProsigns, options).morse);
 }
 
+/**
+ * Split morse into tokens (the morse for a character or prosign, or '/' between words), keeping track of where each one is in the input.
+ * Spaces are squashed, '|' is a word separator, repeated word separators are squashed and '_' is a dash (unless the alphabet uses it).
+ * @param {string} morse - Morse code matching [.-_/| ]*
+ * @param {Object} [alphabet] - the alphabet (as returned by getAlphabet)
+ * @return {{token: string, offset: number}[]}
+ * @access private
+ */
+var tokenizeMorse = function(morse, alphabet = getAlphabet()) {
+    var unifyDash = alphabet.elements.indexOf("_") === -1;
+    var tokens = [];
+    var current;
+    var end = function() {
+        if (current !== undefined) {
+            tokens.push(current);
+            current = undefined;
+        }
+    };
+    for (var i = 0; i < morse.length; i++) {
+        var c = morse[i];
+        if (c.match(/\s/)) {
+            end();
+        } else if (c === "/" || c === "|") {
+            end();
+            if (tokens.length === 0 || tokens[tokens.length - 1].token !== "/") {
+                tokens.push({token: "/", offset: i});
+            }
+        } else {
+            if (current === undefined) {
+                current = {token: "", offset: i};
+            }
+            current.token += (c === "_" && unifyDash) ? "-" : c;  // unify the dash character
+        }
+    }
+    end();
+    return tokens;
+};
+
 /**
  * Canonicalise morse text.
  * Canonical form matches [.-/ ]*, has single spaces between characters, has words separated by ' / ', and has no spaces at the start or end.
  * A single '/' may be returned by this function.
+ * Alphabets such as American Morse may use other elements (e.g. '_' for a long dash) in which case '_' is not treated as a dash.
  * @param {string} morse - Morse code matching [.-_/| ]*
+ * @param {Object} [alphabet] - the alphabet (as returned by getAlphabet)
  * @return {string} Morse code in canonical form matching [.-/ ]*
  */
-var tidyMorse = function(morse) {
-    morse = morse.replace(/\|/g, "/"); // unify the word separator
-    morse = morse.replace(/\//g, " / "); // make sure word separators are spaced out
-    morse = morse.replace(/\s+/g, " "); // squash multiple spaces into single spaces
-    morse = morse.replace(/(\/ )+\//g, "/"); // squash multiple word separators
-    morse = morse.replace(/_/g, "-"); // unify the dash character
-    morse = morse.replace(/^\s+/, "");  // remove initial whitespace
-    morse = morse.replace(/\s+$/, "");  // remove trailing whitespace
-    return morse;
+var tidyMorse = function(morse, alphabet) {
+    return tokenizeMorse(morse, alphabet).map(function(t) {
+        return t.token;
+    }).join(" ");
 };
 
 /**
  * Translate morse to text. Canonicalise the morse first.
  * If something in the morse is untranslatable then it is surrounded by hash-signs ('#') and a hash is placed in the text.
+ * If prosigns are used then those which switch alphabet (see registerAlphabet) change the alphabet used for the rest of the morse
+ * and are not included in the text, unless nothing follows them (then the prosign itself is given, e.g. '<DO>').
  * @param {string} morse - morse message using [.-_/| ] characters
  * @param {boolean} useProsigns - true if prosigns are to be used (default is true)
- * @return {{message: string, morse: string, hasError: boolean}}
+ * @param {Object} [options]
+ * @param {string} [options.alphabet] - name of the alphabet to use (defaults to the selected alphabet)
+ * @param {boolean|number} [options.fuzzy=false] - if true (or the number of alternatives wanted) then each error lists the most likely "alternatives" (see morse-pro-fuzzy)
+ * @param {boolean|string|Object} [options.cutNumbers=false] - turn cut numbers in numeric fields back into digits (e.g. '5NN' into '599'); the value gives the rules (see morse-pro-cut-numbers)
+ * @param {boolean} [options.exchange=false] - if true then the message is an exchange of numeric fields, so cut numbers are decoded even in words with no digits (e.g. 'ENN TTA' into '599 001')
+ * @return {{message: string, morse: string, hasError: boolean, alphabet: string, errors: {inputOffset: number, token: string, outputOffset: number, reason: string}[]}}
+ *   the alphabet is the one in use at the end of the message;
+ *   each error gives the position and morse of the untranslatable token in the input and the position of its '#' in the message.
+ *   The result also has "spans" linking each token of the input to its place in the message and the (canonical) morse (see Span).
  */
-export function morse2text(morse, useProsigns = true) {
-    morse = tidyMorse(morse);
+export function morse2text(morse, useProsigns = true, options = {}) {
+    var alphabet = getAlphabet(options.alphabet);
+    var tokens = tokenizeMorse(morse, alphabet);
     var ret = {
         morse: "",
         message: "",
-        hasError: false
+        hasError: false,
+        alphabet: alphabet.name,
+        errors: [],
+        spans: []
     };
-    if (morse === "") {
+    if (tokens.length === 0) {
         return ret;
     }
 
-    var tokens = morse.split(" ");
-    var dict;
-    if (useProsigns) {
-        dict = morsepro2textH;
-    } else {
-        dict = morse2textH;
-    }
-    var c, t;
+    var c, t, dict, error;
+    var emit = function(message, morse) {
+        ret.spans.push({
+            inputOffset: tokens[i].offset,
+            inputLength: t.length,
+            messageOffset: ret.message.length,
+            messageLength: message.length,
+            morseOffset: ret.morse.length,
+            morseLength: morse.length
+        });
+        ret.message += message;
+        ret.morse += morse + " ";
+    };
     for (var i = 0; i < tokens.length; i++) {
-        t = tokens[i];
+        t = tokens[i].token;
+        if (useProsigns && alphabet.switches[t] !== undefined) {
+            var last = tokens.slice(i + 1).every(function(token) {
+                return token.token === "/";
+            });
+            emit(last ? alphabet.switches[t].prosign : "", t);
+            alphabet = getAlphabet(alphabet.switches[t].alphabet);
+            continue;
+        }
+        dict = getDict(alphabet, useProsigns, false);
         c = dict[t];
         if (c === undefined) {
-            ret.morse += "#" + t + "# ";
-            ret.message += "#";
+            error = {
+                inputOffset: tokens[i].offset,
+                token: t,
+                outputOffset: ret.message.length,
+                reason: 'Unknown Morse code "' + t + '" in the ' + alphabet.name + ' alphabet'
+            };
+            if (options.fuzzy) {
+                error.alternatives = Fuzzy.alternatives(t, dict, options.fuzzy === true ? undefined : options.fuzzy, {
+                    previous: i > 0 && tokens[i - 1].token !== "/" ? tokens[i - 1].token : undefined,
+                    next: i < tokens.length - 1 && tokens[i + 1].token !== "/" ? tokens[i + 1].token : undefined
+                });
+            }
+            ret.errors.push(error);
+            emit("#", "#" + t + "#");
             ret.hasError = true;
         } else {
-            ret.morse += t + " ";
-            ret.message += c;
+            emit(c, t);
         }
     }
     ret.morse = ret.morse.slice(0, ret.morse.length - 1);
+    ret.alphabet = alphabet.name;
+    if (options.cutNumbers) {
+        ret.message = CutNumbers.decode(ret.message, options.cutNumbers, options.exchange).text;
+    }
     return ret;
 }
 
 /**
  * Determine whether a string is most likely morse code.
+ * Morse written in another notation (see morse-pro-notation, e.g. "Di-dah" or "10111000111") is detected and converted first.
  * @param {string} input - the text
+ * @param {string} [alphabet] - name of the alphabet to use (defaults to the selected alphabet)
  * @return {boolean} - true if the string only has Morse characters in after executing tidyMorse
  */
-export function looksLikeMorse(input) {
-    input = tidyMorse(input);
-    return (input.match(/^[/.-][ /.-]*$/) !== null);
+export function looksLikeMorse(input, alphabet) {
+    var tables = getAlphabet(alphabet);
+    var morse = tidyMorse(Notation.parse(input), tables);
+    var elements = tables.elements.replace(/[\]\\^-]/g, "\\$&");
+    return (morse.match(new RegExp("^[/" + elements + "][ /" + elements + "]*$")) !== null);
 }
@@ -0,0 +1,28 @@
+import * as Abbreviations from '../src/morse-pro-abbreviations';
+
+var assert = require('assert');
+
+describe('morse-pro-abbreviations', function() {
+
+    describe('annotate()', function() {
+        it('finds abbreviations, Q-codes and prosigns', function() {
+            assert.deepEqual(Abbreviations.annotate('tnx fb, qsl? 5NN<AR> XYZ'), [
+                {offset: 0, length: 3, token: 'TNX', expansion: 'thanks'},
+                {offset: 4, length: 2, token: 'FB', expansion: 'fine business'},
+                {offset: 8, length: 4, token: 'QSL?', expansion: 'can you acknowledge receipt?'},
+                {offset: 13, length: 3, token: '5NN', expansion: 'signal report 599'},
+                {offset: 16, length: 4, token: '<AR>', expansion: 'end of message'}
+            ]);
+        });
+    });
+
+    describe('expand()', function() {
+        it('renders an expanded transcript', function() {
+            assert.equal(Abbreviations.expand('QTH LONDON <BT> TNX OM'), 'my location is LONDON break thanks old man');
+        });
+        it('uses added abbreviations', function() {
+            Abbreviations.addAbbreviations({'GUD': 'good'});
+            assert.equal(Abbreviations.expand('GUD DX'), 'good DX');
+        });
+    });
+});
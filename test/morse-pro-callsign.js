@@ -0,0 +1,42 @@
+import * as Callsign from '../src/morse-pro-callsign';
+import * as Random from '../src/morse-pro-util-random';
+
+var assert = require('assert');
+
+describe('morse-pro-callsign', function() {
+
+    describe('isCallsign()', function() {
+        var tests = [
+            {text: 'M0XYZ', expected: true},
+            {text: 'K1ABC/P', expected: true},
+            {text: '2E0AAA', expected: true},
+            {text: 'DL2AA', expected: true},
+            {text: 'HELLO', expected: false},
+            {text: '599', expected: false}
+        ];
+
+        tests.forEach(function(test) {
+            it('says whether "' + test.text + '" is a callsign', function() {
+                assert.equal(Callsign.isCallsign(test.text), test.expected);
+            });
+        });
+    });
+
+    describe('randomCallsign() and randomStation()', function() {
+        it('makes callsigns', function() {
+            var random = Random.createRandom(7);
+            for (var i = 0; i < 20; i++) {
+                assert.equal(Callsign.isCallsign(Callsign.randomCallsign(random)), true);
+            }
+        });
+
+        it('makes callsigns with the prefix and digit for the location', function() {
+            var random = Random.createRandom(7);
+            for (var i = 0; i < 20; i++) {
+                var station = Callsign.randomStation(random, ['Canada']);
+                assert.equal(Callsign.isCallsign(station.callsign), true);
+                assert.equal(station.callsign.match(/^V[EA](\d)/)[1], {NS: '1', QC: '2', ON: '3', AB: '6', BC: '7'}[station.state]);
+            }
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import MorseChannel from '../src/morse-pro-channel';
+import MorseCWWave from '../src/morse-pro-cw-wave';
+
+var assert = require('assert');
+
+describe('morse-pro-channel', function() {
+    var morseCWWave = new MorseCWWave(true, 20, 20, 600, 8000);
+    morseCWWave.translate('PARIS');
+
+    var assertClose = function(actual, expected) {
+        assert.equal(actual.length, expected.length);
+        assert.ok(actual.every(function(x, i) {
+            return Math.abs(x - expected[i]) < 1e-6;
+        }));
+    };
+
+    describe('getSignal()', function() {
+        it('is the same as MorseCWWave.getSampleGeneral without chirp or drift', function() {
+            var timings = morseCWWave.getTimings();
+            assertClose(new MorseChannel().getSignal(timings, 600, 8000), MorseCWWave.getSampleGeneral(timings, 600, 8000));
+        });
+    });
+
+    describe('getSample()', function() {
+        it('changes nothing if no effects are set', function() {
+            assertClose(new MorseChannel().getSample(morseCWWave), morseCWWave.getSample());
+        });
+
+        it('gives the same sample for the same seed', function() {
+            var make = function(seed) {
+                var channel = new MorseChannel(seed);
+                channel.snr = 10;
+                channel.noise = 'pink';
+                channel.qsbPeriod = 2;
+                channel.qrnRate = 5;
+                channel.qrm = [{frequency: 700, level: 0.2}];
+                channel.chirp = 30;
+                channel.drift = 10;
+                return channel.getSample(morseCWWave);
+            };
+            var sample = make(1);
+            assert.ok(make(1).every(function(x, i) {
+                return x === sample[i];
+            }));
+            assert.ok(make(2).some(function(x, i) {
+                return x !== sample[i];
+            }));
+            assert.ok(sample.every(function(x) {
+                return x >= -1 && x <= 1;
+            }));
+        });
+    });
+
+    describe('apply()', function() {
+        MorseChannel.getNoiseNames().forEach(function(noise) {
+            it('adds ' + noise + ' noise at the signal to noise ratio', function() {
+                var channel = new MorseChannel(42);
+                channel.snr = 20;
+                channel.noise = noise;
+                var silence = new Array(8000).fill(0);
+                var power = channel.apply(silence, 8000).reduce(function(sum, x) {
+                    return sum + x * x;
+                }, 0) / silence.length;
+                assert.ok(Math.abs(10 * Math.log10(0.5 / power) - 20) < 0.1);
+            });
+        });
+
+        it('throws for an unknown noise', function() {
+            var channel = new MorseChannel();
+            channel.snr = 0;
+            channel.noise = 'brown';
+            assert.throws(function() {
+                channel.apply([0, 0], 8000);
+            }, /Unknown noise/);
+        });
+    });
+});
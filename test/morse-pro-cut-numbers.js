@@ -0,0 +1,41 @@
+import * as CutNumbers from '../src/morse-pro-cut-numbers';
+
+var assert = require('assert');
+
+describe('morse-pro-cut-numbers', function() {
+
+    describe('encode()', function() {
+        var tests = [
+            {text: '599 001 M0XYZ', rules: true, expected: 'ENN TTA M0XYZ'},
+            {text: '599 001 M0XYZ', rules: '09', expected: '5NN TT1 M0XYZ'},
+            {text: '599 001', rules: {'0': 'O', '9': 'N'}, expected: '5NN OO1'}
+        ];
+
+        tests.forEach(function(test) {
+            it('cuts "' + test.text + '" to "' + test.expected + '" with rules ' + JSON.stringify(test.rules), function() {
+                assert.equal(CutNumbers.encode(test.text, test.rules).text, test.expected);
+            });
+        });
+    });
+
+    describe('decode()', function() {
+        it('only decodes numeric fields', function() {
+            var res = CutNumbers.decode('5NN TT1 NN TEN M0XYZ');
+            assert.equal(res.text, '599 001 NN TEN M0XYZ');
+            assert.deepEqual(res.substitutions[0], {offset: 1, from: 'N', to: '9'});
+        });
+
+        it('decodes fields with no digits in an exchange', function() {
+            assert.equal(CutNumbers.decode('ENN TTA').text, 'ENN TTA');
+            assert.equal(CutNumbers.decode('ENN TTA', true, true).text, '599 001');
+        });
+
+        var tests = [true, '09', {'0': 'O', '9': 'N'}];
+        tests.forEach(function(rules) {
+            it('decodes what encode cut with rules ' + JSON.stringify(rules), function() {
+                var exchange = '599 001 14 2507';
+                assert.equal(CutNumbers.decode(CutNumbers.encode(exchange, rules).text, rules, true).text, exchange);
+            });
+        });
+    });
+});
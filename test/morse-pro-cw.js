@@ -35,12 +35,18 @@ describe('morse-pro-cw', function() {
             {morse: '.- . / .', wpm: 20, fwpm: 20, timings: [60, -60, 180, -180, 60, -420, 60]},
             {morse: '.- . / .', wpm: 20, fwpm: 15, timings: [60, -60, 180, -338, 60, -788, 60]},
             {morse: '.- . / .', wpm: 10, fwpm: 10, timings: [120, -120, 360, -360, 120, -840, 120]},
-            {morse: '..........', wpm: 100, fwpm: 100, timings: [12, -12, 12, -12, 12, -12, 12, -12, 12, -12, 12, -12, 12, -12, 12, -12, 12, -12, 12]}
+            {morse: '..........', wpm: 100, fwpm: 100, timings: [12, -12, 12, -12, 12, -12, 12, -12, 12, -12, 12, -12, 12, -12, 12, -12, 12, -12, 12]},
+            {morse: '..~. _ / =', wpm: 20, fwpm: 20, alphabet: 'american', timings: [60, -60, 60, -120, 60, -180, 240, -360, 300]},
+            {morse: '.- . / .', wpm: 20, fwpm: 20, weighting: 60, timings: [72, -48, 192, -168, 72, -408, 72]},
+            {morse: '.- . / .', wpm: 20, fwpm: 20, dahRatio: 3.5, timings: [60, -60, 210, -180, 60, -420, 60]}
         ];
 
         tests.forEach(function(test) {
             it('gives timings for "' + test.morse + '" ' + test.wpm + '/' + test.fwpm + ' as ' + test.timings, function() {
                 var morseCW = new MorseCW(true, test.wpm, test.fwpm);
+                morseCW.alphabet = test.alphabet;
+                morseCW.weighting = test.weighting || 50;
+                morseCW.dahRatio = test.dahRatio || 3;
                 morseCW.morse = test.morse;  // set morse field directly to avoid triggering translation errors
                 var t = morseCW.getTimings();
                 for (var i = 0; i < t.length; i++) {
@@ -76,6 +82,61 @@ describe('morse-pro-cw', function() {
         });
     });
 
+    describe('standard', function() {
+        it('uses the CODEX standard word', function() {
+            var morseCW = new MorseCW(true, 20, 20);
+            morseCW.standard = 'CODEX';
+            morseCW.translate('CODEX');
+            assert.equal(morseCW.getDuration() + morseCW.wordSpace, 3000);
+        });
+    });
+
+    describe('spacing', function() {
+        it('keeps the character spaces short with Wordsworth spacing', function() {
+            var morseCW = new MorseCW(true, 20, 10);
+            morseCW.spacing = 'wordsworth';
+            morseCW.translate('PARIS');
+            assert.equal(morseCW.getTimings()[7], -180);  // after the P
+            assert.equal(Math.abs(morseCW.getDuration() + morseCW.wordSpace - 6000) <= 1, true);
+        });
+
+        it('uses explicit space lengths', function() {
+            var morseCW = new MorseCW(true, 20, 20);
+            morseCW.spacing = {charSpace: 300, wordSpace: 1000};
+            morseCW.translate('E E E');
+            assert.deepEqual(morseCW.getTimings(), [60, -1000, 60, -1000, 60]);
+            morseCW.translate('EE');
+            assert.deepEqual(morseCW.getTimings(), [60, -300, 60]);
+        });
+    });
+
+    describe('markup', function() {
+        it('changes speed and pauses partway through the message', function() {
+            var morseCW = new MorseCW(true, 20, 20);
+            morseCW.translate('E [wpm=30]E[pause=1000]E');
+            assert.deepEqual(morseCW.getTimings(), [60, -420, 40, -1120, 40]);
+        });
+    });
+
+    describe('getTimingEvents()', function() {
+        it('says what each timing is and where it came from', function() {
+            var morseCW = new MorseCW(true, 20, 20);
+            morseCW.translate('ET [pause=500]M');
+            assert.deepEqual(morseCW.getTimingEvents().map(function(e) {
+                return [e.kind, e.startTime, e.character, e.wordIndex];
+            }), [
+                ['dit', 0, 'E', 0],
+                ['charSpace', 60, undefined, 0],
+                ['dah', 240, 'T', 0],
+                ['wordSpace', 420, undefined, 0],
+                ['pause', 840, undefined, 1],
+                ['dah', 1340, 'M', 1],
+                ['ditSpace', 1520, 'M', 1],
+                ['dah', 1580, 'M', 1]
+            ]);
+        });
+    });
+
     describe('wordSpace', function() {
         var tests = [
             {wpm: 20, fwpm: 20, wordSpace: 420},
@@ -89,4 +150,23 @@ describe('morse-pro-cw', function() {
             });
         });
     });
+
+    describe('getSpans()', function() {
+        it('gives the timings of each character of the input', function() {
+            var morseCW = new MorseCW(true, 20, 20);
+            morseCW.translate('Hi  E');
+            var spans = morseCW.getSpans().map(function(span) {
+                return [span.inputOffset, span.inputLength, span.timingStart, span.timingEnd, span.startTime, span.endTime];
+            });
+            assert.deepEqual(spans, [[0, 1, 0, 7, 0, 420], [1, 1, 8, 11, 600, 780], [2, 2, 11, 12, 780, 1200], [4, 1, 12, 13, 1200, 1260]]);
+        });
+        it('finds the span sounding at a time', function() {
+            var morseCW = new MorseCW(true, 20, 20);
+            morseCW.translate('.... ..');
+            assert.equal(morseCW.getSpanAt(700).messageOffset, 1);
+            assert.equal(morseCW.getSpanAt(500).messageOffset, 0);  // the space between characters
+            assert.equal(morseCW.getSpanAt(-1), undefined);
+            assert.equal(morseCW.getSpanAt(morseCW.getDuration()), undefined);
+        });
+    });
 });
@@ -0,0 +1,184 @@
+import MorseDecoder from '../src/morse-pro-decoder';
+import MorseAdaptiveDecoder from '../src/morse-pro-decoder-adaptive';
+import MorseCW from '../src/morse-pro-cw';
+import * as Morse from '../src/morse-pro';
+
+var assert = require('assert');
+
+/**
+ * Feed the timings for some text into a decoder and flush it.
+ */
+var decode = function(decoder, text) {
+    var morseCW = new MorseCW(true, decoder.wpm, decoder.fwpm);
+    morseCW.alphabet = decoder.alphabet;
+    morseCW.weighting = decoder.weighting;
+    morseCW.dahRatio = decoder.dahRatio;
+    morseCW.spacing = decoder.spacing;
+    morseCW.translate(text);
+    morseCW.getTimings().forEach(function(t) {
+        decoder.addTiming(t);
+    });
+    decoder.flush();
+    return decoder;
+};
+
+describe('morse-pro-decoder', function() {
+
+    describe('constructor()', function() {
+        it('should default to 20 wpm', function() {
+            var decoder = new MorseDecoder();
+            assert.equal(decoder.wpm, 20);
+            assert.equal(decoder.ditLen, 60);
+        });
+    });
+
+    describe('standard', function() {
+        it('changes the dit length but not the speed', function() {
+            var decoder = new MorseDecoder(24);
+            decoder.standard = 'CODEX';
+            assert.equal(decoder.wpm, 24);
+            assert.equal(decoder.ditLen, 42);
+            decoder.ditLen = 50;
+            assert.equal(decoder.wpm, 20);
+        });
+    });
+
+    describe('flush()', function() {
+        var tests = [
+            {text: 'PARIS', wpm: 20, fwpm: 20},
+            {text: 'THE QUICK BROWN FOX', wpm: 20, fwpm: 20},
+            {text: 'CQ CQ DE M0XYZ', wpm: 25, fwpm: 15},
+        ];
+
+        tests.forEach(function(test) {
+            it('decodes "' + test.text + '" at ' + test.wpm + '/' + test.fwpm, function() {
+                var decoder = decode(new MorseDecoder(test.wpm, test.fwpm), test.text);
+                assert.equal(decoder.message, test.text);
+            });
+            it('decodes "' + test.text + '" with weighting and a heavy dah ratio', function() {
+                var decoder = new MorseDecoder(test.wpm, test.fwpm);
+                decoder.weighting = 70;
+                decoder.dahRatio = 4;
+                decode(decoder, test.text);
+                assert.equal(decoder.message, test.text);
+            });
+        });
+
+        it('decodes Wordsworth spacing', function() {
+            var decoder = new MorseDecoder(25, 10);
+            decoder.spacing = 'wordsworth';
+            decode(decoder, 'CQ CQ DE M0XYZ');
+            assert.equal(decoder.message, 'CQ CQ DE M0XYZ');
+        });
+
+        it('adapts to the word spaces of Wordsworth spacing', function() {
+            var decoder = new MorseAdaptiveDecoder(20, 15);
+            decoder.spacing = 'wordsworth';
+            var morseCW = new MorseCW(true, 20, 10);
+            morseCW.spacing = 'wordsworth';
+            morseCW.translate('CQ CQ DE M0XYZ M0XYZ K');
+            morseCW.getTimings().forEach(function(t) {
+                decoder.addTiming(t);
+            });
+            decoder.flush();
+            assert.equal(decoder.message, 'CQ CQ DE M0XYZ M0XYZ K');
+            assert.equal(Math.round(decoder.fwpm), 10);
+        });
+
+        it('switches to Wabun after <DO> and back after <SN>', function() {
+            var messages = [];
+            var decoder = new MorseDecoder(20, 20, function(d) {
+                messages.push(d.message);
+            });
+            decode(decoder, 'QTH トウキョウ OK');
+            assert.equal(decoder.message, 'QTH トウキヨウ OK');
+            assert.equal(decoder.alphabet, 'latin');
+            assert.notEqual(messages.indexOf('ト'), -1);
+        });
+
+        it('follows the selected alphabet until an alphabet is switched to', function() {
+            var decoder = decode(new MorseDecoder(), 'A');
+            Morse.selectAlphabet('cyrillic');
+            try {
+                decode(decoder, 'А Б');
+            } finally {
+                Morse.selectAlphabet('latin');
+            }
+            assert.equal(decoder.message.slice(-3), 'А Б');
+            assert.equal(decoder.alphabet, undefined);
+        });
+
+        it('gives alternatives for morse it cannot decode when fuzzy', function() {
+            var alternatives;
+            var decoder = new MorseDecoder(20, 20, function(d) {
+                alternatives = d.alternatives;
+            });
+            decoder.fuzzy = 3;
+            [60, -60, 60, -60, 60, -60, 180, -60, 180, -60, 180].forEach(function(t) {
+                decoder.addTiming(t);
+            });
+            decoder.flush();
+            assert.equal(decoder.message, '#');
+            assert.equal(alternatives.length, 1);
+            assert.deepEqual(alternatives[0].map(function(a) { return a.text; }), ['E2', 'IJ', 'SO']);
+        });
+
+        it('annotates abbreviations once they are complete', function() {
+            var annotations = [];
+            var decoder = new MorseDecoder(20, 20, function(d) {
+                annotations = annotations.concat(d.annotations);
+            });
+            decode(decoder, 'TNX FB OM <BT> QTH? LONDON');
+            assert.deepEqual(annotations.map(function(a) {
+                return a.offset + ' ' + a.token;
+            }), ['0 TNX', '4 FB', '7 OM', '10 <BT>', '15 QTH?']);
+        });
+
+        it('decodes cut numbers once a word has a digit in it', function() {
+            var decoder = new MorseDecoder();
+            decoder.cutNumbers = true;
+            decode(decoder, 'K1ABC 5NN TT1');
+            assert.equal(decoder.message, 'K1ABC 599 001');
+        });
+
+        it('reports the cut numbers changed in text already decoded', function() {
+            var message = '';
+            var decoder = new MorseDecoder(20, 20, function(d) {
+                d.substitutions.forEach(function(s) {
+                    message = message.slice(0, s.offset) + s.to + message.slice(s.offset + 1);
+                });
+                message += d.message;
+            });
+            decoder.cutNumbers = true;
+            decode(decoder, 'K1ABC 5NN TT1');
+            assert.equal(message, 'K1ABC 599 001');
+        });
+
+        it('decodes fields cut completely in an exchange', function() {
+            var decoder = new MorseDecoder();
+            decoder.cutNumbers = true;
+            decoder.exchange = true;
+            decode(decoder, 'ENN TTA');
+            assert.equal(decoder.message, '599 001');
+        });
+
+        it('lists the candidates for the character in progress', function() {
+            var decoder = new MorseDecoder();
+            [60, -180, 180, -60, 60].forEach(function(t) {
+                decoder.addTiming(t);
+            });
+            assert.equal(decoder.message, 'E');
+            assert.deepEqual(decoder.candidates.slice(0, 3).map(function(c) {
+                return c.text;
+            }), ['N', 'D', 'K']);
+        });
+
+        it('decodes American Morse with spaces inside characters and long dashes', function() {
+            var decoder = new MorseDecoder(15);
+            decoder.alphabet = 'american';
+            decode(decoder, 'OLD RAILROAD 1870');
+            assert.equal(decoder.message, 'OLD RAILROAD 1870');
+            assert.equal(decoder.morse.indexOf('.~.'), 0);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+import MorseEnvelope from '../src/morse-pro-envelope';
+import MorseCWWave from '../src/morse-pro-cw-wave';
+
+var assert = require('assert');
+
+describe('morse-pro-envelope', function() {
+    describe('shapeAt()', function() {
+        MorseEnvelope.getShapeNames().forEach(function(shape) {
+            it('rises from 0 to 1 for ' + shape, function() {
+                var envelope = new MorseEnvelope(shape);
+                assert.ok(Math.abs(envelope.shapeAt(0)) < 1e-9);
+                assert.ok(envelope.shapeAt(0.5) > 0.25 && envelope.shapeAt(0.5) < 0.75);
+                assert.ok(Math.abs(envelope.shapeAt(1) - 1) < 1e-9);
+            });
+        });
+
+        it('throws for an unknown shape', function() {
+            assert.throws(function() {
+                new MorseEnvelope('square').shapeAt(0.5);
+            }, /Unknown envelope shape/);
+        });
+    });
+
+    describe('gainAt()', function() {
+        var tests = [
+            {shape: 'linear', rise: 5, fall: 5, t: 2.5, duration: 60, expected: 0.5},
+            {shape: 'linear', rise: 5, fall: 5, t: 30, duration: 60, expected: 1},
+            {shape: 'linear', rise: 5, fall: 10, t: 55, duration: 60, expected: 0.5},
+            {shape: 'linear', rise: 5, fall: 5, t: 2.5, duration: 5, expected: 1},  // edges are shortened to 2.5ms each
+            {shape: 'linear', rise: 0, fall: 0, t: 0, duration: 60, expected: 1}
+        ];
+        tests.forEach(function(test) {
+            it('gives ' + test.expected + ' at ' + test.t + 'ms of ' + test.duration + 'ms with ' + test.rise + '/' + test.fall + 'ms edges', function() {
+                var envelope = new MorseEnvelope(test.shape, test.rise, test.fall);
+                assert.ok(Math.abs(envelope.gainAt(test.t, test.duration) - test.expected) < 1e-9);
+            });
+        });
+    });
+
+    describe('schedule()', function() {
+        // an AudioParam which throws like the Web Audio API if an event is scheduled inside a curve
+        var mockParam = function() {
+            var events = [];
+            var check = function(time, duration) {
+                events.forEach(function(e) {
+                    if ((time > e.time && time < e.time + e.duration) || (duration > 0 && e.time > time && e.time < time + duration)) {
+                        throw new Error('NotSupportedError');
+                    }
+                });
+                events.push({time: time, duration: duration});
+            };
+            return {
+                events: events,
+                setValueAtTime: function(value, time) {
+                    check(time, 0);
+                },
+                setValueCurveAtTime: function(curve, time, duration) {
+                    check(time, duration);
+                }
+            };
+        };
+
+        var tests = [
+            {rise: 5, fall: 5, start: 0.1 + 0.2, duration: 0.01},
+            {rise: 5, fall: 5, start: 1 / 3, duration: 0.007},
+            {rise: 3, fall: 7, start: 0.7, duration: 0.01 / 3},
+            {rise: 5, fall: 0, start: 0.1 + 0.2, duration: 0.003},
+            {rise: 5, fall: 5, start: 0.1 + 0.2, duration: 0.06}
+        ];
+        tests.forEach(function(test) {
+            it('does not overlap the rise and fall of a ' + test.duration + 's sound at ' + test.start + 's', function() {
+                var param = mockParam();
+                new MorseEnvelope('raised-cosine', test.rise, test.fall).schedule(param, test.start, test.duration);
+                assert.equal(param.events.length, 2);
+                assert.ok(param.events[1].time >= param.events[0].time + param.events[0].duration);
+                var last = param.events[1];
+                assert.ok(Math.abs(last.time + last.duration - test.start - test.duration) < 1e-9);
+            });
+        });
+    });
+
+    describe('MorseCWWave.getSample()', function() {
+        it('starts and ends each sound quietly without clipping', function() {
+            var morseCWWave = new MorseCWWave(true, 20, 20, 600, 8000);
+            morseCWWave.translate('E');
+            var sample = morseCWWave.getSample();
+            assert.equal(sample.length, 8000 * 60 / 1000);
+            assert.ok(Math.abs(sample[1]) < 0.05);
+            assert.ok(Math.abs(sample[sample.length - 1]) < 0.05);
+            assert.ok(Math.max.apply(null, sample.map(Math.abs)) <= 1);
+            assert.ok(Math.max.apply(null, sample.map(Math.abs)) > 0.9);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+import MorseFist from '../src/morse-pro-fist';
+import MorseCW from '../src/morse-pro-cw';
+
+var assert = require('assert');
+
+describe('morse-pro-fist', function() {
+    var morseCW = new MorseCW(true, 20, 20);
+    morseCW.translate('PARIS PARIS');
+
+    describe('getTimings()', function() {
+        it('gives the same timings for the same seed', function() {
+            var timings = new MorseFist('lesson 1').getTimings(morseCW);
+            assert.deepEqual(new MorseFist('lesson 1').getTimings(morseCW), timings);
+            assert.notDeepEqual(new MorseFist('lesson 2').getTimings(morseCW), timings);
+            assert.notDeepEqual(timings, morseCW.getTimings());
+        });
+
+        it('changes nothing without jitter', function() {
+            var fist = new MorseFist();
+            fist.jitter = 0;
+            assert.deepEqual(fist.getTimings(morseCW), morseCW.getTimings());
+        });
+
+        it('keeps the timings alternating and the same length', function() {
+            var fist = new MorseFist(42);
+            fist.weight = 0.3;
+            fist.spaceJitter = 0.2;
+            var timings = fist.getTimings(morseCW);
+            assert.equal(timings.length, morseCW.getTimings().length);
+            timings.forEach(function(t, i) {
+                assert.equal(t > 0, i % 2 === 0);
+            });
+        });
+
+        it('sends perfect dits and long dahs like a bug', function() {
+            var fist = new MorseFist(1);
+            fist.bug = true;
+            fist.dahStretch = 1.5;
+            var timings = fist.getTimings(morseCW);
+            morseCW.getTimings().forEach(function(t, i) {
+                if (t === 60) {
+                    assert.equal(timings[i], 60);
+                } else if (t === 180) {
+                    assert.equal(timings[i] > 200, true);
+                }
+            });
+        });
+    });
+
+    describe('applyToTimings()', function() {
+        var tests = [
+            {timings: [60, -60], expected: 60},
+            {timings: [-60, 60, -60, 60], expected: 60},
+            {timings: [-60, 60, -60, 60, -60], expected: 60}
+        ];
+
+        tests.forEach(function(test) {
+            it('works like a bug with leading and trailing gaps in ' + test.timings, function() {
+                var fist = new MorseFist(1);
+                fist.bug = true;
+                var timings = fist.applyToTimings(test.timings, 60);
+                assert.equal(timings.length, test.timings.length);
+                test.timings.forEach(function(t, i) {
+                    if (t > 0) {
+                        assert.equal(timings[i], test.expected);
+                    }
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,28 @@
+import * as Markup from '../src/morse-pro-markup';
+
+var assert = require('assert');
+
+describe('morse-pro-markup', function() {
+
+    describe('parse()', function() {
+        var tests = [
+            {text: 'CQ [wpm=25]DE M0XYZ', expected: 'CQ DE M0XYZ', markup: [{offset: 3, name: 'wpm', value: 25}]},
+            {text: '[FREQ = 700]A[pause=0]B', expected: 'AB', markup: [{offset: 0, name: 'freq', value: 700}, {offset: 1, name: 'pause', value: 0}]},
+            {text: 'SOS [HELP]', expected: 'SOS [HELP]', markup: []}
+        ];
+
+        tests.forEach(function(test) {
+            it('removes the markup from "' + test.text + '"', function() {
+                var res = Markup.parse(test.text);
+                assert.equal(res.text, test.expected);
+                assert.deepEqual(res.markup, test.markup);
+            });
+        });
+
+        it('throws on bad values', function() {
+            assert.throws(function() {
+                Markup.parse('[wpm=fast]');
+            }, /Bad value in markup/);
+        });
+    });
+});
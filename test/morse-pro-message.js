@@ -0,0 +1,67 @@
+import MorseMessage from '../src/morse-pro-message';
+
+var assert = require('assert');
+
+describe('morse-pro-message', function() {
+
+    describe('translate()', function() {
+        it('throws an error listing the errors in the input', function() {
+            var morseMessage = new MorseMessage();
+            try {
+                morseMessage.translate('SOS {');
+                assert.fail('no error thrown');
+            } catch (ex) {
+                assert.equal(ex.message, 'Error in input');
+                assert.equal(ex.errors.length, 1);
+                assert.equal(ex.errors[0].inputOffset, 4);
+                assert.strictEqual(ex.errors, morseMessage.errors);
+            }
+            morseMessage.clearError();
+            assert.equal(morseMessage.morse.indexOf('#'), -1);
+            assert.deepEqual(morseMessage.errors, []);
+        });
+
+        it('removes markup and says where it was', function() {
+            var morseMessage = new MorseMessage();
+            morseMessage.translate('CQ [wpm=25]DE [freq=700]M0XYZ');
+            assert.equal(morseMessage.message, 'CQ DE M0XYZ');
+            assert.deepEqual(morseMessage.markup, [
+                {name: 'wpm', value: 25, messageOffset: 3, morseOffset: 12},
+                {name: 'freq', value: 700, messageOffset: 6, morseOffset: 20}
+            ]);
+        });
+
+        it('decodes the cut numbers it sends in an exchange', function() {
+            var morseMessage = new MorseMessage();
+            morseMessage.cutNumbers = true;
+            morseMessage.exchange = true;
+            var morse = morseMessage.translate('599 001', false);
+            assert.equal(morseMessage.message, 'ENN TTA');
+            assert.equal(morseMessage.translate(morse, true), '599 001');
+        });
+
+        var tests = [
+            {input: 'Di', message: 'DI'},
+            {input: 'dah', message: 'DAH'},
+            {input: 'Dit dah', message: 'DIT DAH'},
+            {input: '10000001', message: '10000001'},
+            {input: '599 001', message: '599 001'}
+        ];
+        tests.forEach(function(test) {
+            it('reads "' + test.input + '" as text', function() {
+                var morseMessage = new MorseMessage();
+                assert.equal(morseMessage.translate(test.input), morseMessage.morse);
+                assert.equal(morseMessage.message, test.message);
+                assert.equal(morseMessage.inputWasMorse, false);
+            });
+        });
+
+        it('transliterates a lone dash rather than reading it as Morse', function() {
+            var morseMessage = new MorseMessage();
+            morseMessage.unsupported = 'transliterate';
+            assert.equal(morseMessage.translate('—'), '-....-');
+            assert.equal(morseMessage.inputWasMorse, false);
+            assert.deepEqual(morseMessage.substitutions, [{offset: 0, from: '—', to: '-'}]);
+        });
+    });
+});
@@ -0,0 +1,42 @@
+import MorseMixer from '../src/morse-pro-mixer';
+import MorseCWWave from '../src/morse-pro-cw-wave';
+
+var assert = require('assert');
+
+describe('morse-pro-mixer', function() {
+    var station = function(text, wpm, frequency) {
+        var morseCWWave = new MorseCWWave(true, wpm, wpm, frequency, 8000);
+        morseCWWave.translate(text);
+        return morseCWWave;
+    };
+
+    describe('getTimes()', function() {
+        it('gives the start and end of each station', function() {
+            var mixer = new MorseMixer();
+            mixer.addStation(station('E', 20, 600));
+            mixer.addStation(station('T', 20, 600), {delay: 100});
+            assert.deepEqual(mixer.getTimes(), [{start: 0, end: 60}, {start: 100, end: 280}]);
+            assert.equal(mixer.getDuration(), 280);
+        });
+    });
+
+    describe('getSample()', function() {
+        it('is the same as the station on its own', function() {
+            var mixer = new MorseMixer();
+            var wave = station('PARIS', 20, 600);
+            mixer.addStation(wave);
+            assert.deepEqual(mixer.getSample(), wave.getSample());
+        });
+
+        it('mixes stations of different lengths without clipping', function() {
+            var mixer = new MorseMixer();
+            mixer.addStation(station('K1ABC', 25, 600));
+            mixer.addStation(station('DL2XY', 18, 600), {offset: 100, amplitude: 0.5, delay: 200});
+            mixer.addStation(station('M0XYZ', 30, 550), {offset: -50, amplitude: 2});
+            var sample = mixer.getSample(100);
+            assert.equal(sample.length, Math.ceil(8000 * (mixer.getDuration() + 100) / 1000));
+            var peak = Math.max.apply(null, sample.map(Math.abs));
+            assert.ok(peak <= 1 && peak > 0.999);
+        });
+    });
+});
@@ -0,0 +1,51 @@
+import * as Notation from '../src/morse-pro-notation';
+
+var assert = require('assert');
+
+describe('morse-pro-notation', function() {
+
+    describe('format() and parse()', function() {
+        var morse = '.- -... / ..--..';
+        var tests = [
+            {notation: 'ditdah', expected: 'Di-dah dah-di-di-dit, di-di-dah-dah-di-dit.'},
+            {notation: 'dots', expected: '·− −··· / ··−−··'},
+            {notation: 'binary', expected: '101110001110101010000000101011101110101'},
+            {notation: 'runlength', expected: [1, -1, 3, -3, 3, -1, 1, -1, 1, -1, 1, -7, 1, -1, 1, -1, 3, -1, 3, -1, 1, -1, 1]}
+        ];
+
+        tests.forEach(function(test) {
+            it('converts "' + morse + '" to and from ' + test.notation, function() {
+                var res = Notation.format(morse, test.notation);
+                assert.deepEqual(res, test.expected);
+                assert.equal(Notation.detect(res), test.notation);
+                assert.equal(Notation.parse(res), morse);
+            });
+        });
+    });
+
+    describe('parse()', function() {
+        var tests = [
+            {input: 'didah dahdidit', notation: 'ditdah', expected: '.- -..'},
+            {input: '• — •', notation: 'dots', expected: '. - .'},
+            {input: '0010111000', notation: 'binary', expected: '.-'},
+            {input: '[2, -1, 1, -6, 1]', notation: 'runlength', expected: '-. / .'},
+            {input: '.-', notation: undefined, expected: '.-'}
+        ];
+
+        tests.forEach(function(test) {
+            it('reads "' + test.input + '" as "' + test.expected + '"', function() {
+                assert.equal(Notation.parse(test.input, test.notation), test.expected);
+            });
+        });
+    });
+
+    describe('detect()', function() {
+        var tests = ['Di', 'dah', 'Dit dah', 'did', '10000001', '11111111', '10101010', '599 -1 5', '[2, -1, 1]', 'hello', '—', '– –', '−'];
+
+        tests.forEach(function(input) {
+            it('does not detect "' + input + '"', function() {
+                assert.equal(Notation.detect(input), undefined);
+            });
+        });
+    });
+});
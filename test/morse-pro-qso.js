@@ -0,0 +1,58 @@
+import MorseQSO from '../src/morse-pro-qso';
+import MorseCW from '../src/morse-pro-cw';
+
+var assert = require('assert');
+
+describe('morse-pro-qso', function() {
+
+    describe('generateRagchew()', function() {
+        it('gives the same contact for the same seed', function() {
+            var text = new MorseQSO('ragchew').generateRagchew().text;
+            assert.equal(new MorseQSO('ragchew').generateRagchew().text, text);
+        });
+
+        it('gives text which translates and an answer key which matches it', function() {
+            var contact = new MorseQSO(3).generateRagchew();
+            new MorseCW().translate(contact.text);
+            contact.key.exchanges.forEach(function(exchange) {
+                assert.notEqual(contact.text.indexOf('NAME ' + exchange.fields.name), -1);
+                assert.notEqual(contact.text.indexOf('RST ' + exchange.fields.rst), -1);
+            });
+        });
+    });
+
+    describe('generateContest()', function() {
+        MorseQSO.getContestNames().forEach(function(contest) {
+            it('gives a ' + contest + ' contact which translates', function() {
+                var contact = new MorseQSO(contest).generateContest(contest);
+                new MorseCW().translate(contact.text);
+                assert.equal(contact.key.contest, contest);
+                assert.equal(contact.transmissions.length, 5);
+                assert.equal(contact.key.exchanges.length, 2);
+            });
+        });
+
+        it('sends cut numbers but keeps digits in the key', function() {
+            var qso = new MorseQSO(1);
+            qso.cutNumbers = '09';
+            var contact = qso.generateContest('CQ WPX');
+            var fields = contact.key.exchanges[1].fields;
+            assert.equal(fields.rst, '599');
+            assert.equal(contact.transmissions[3].text, 'TU 5NN ' + fields.serial.replace(/0/g, 'T').replace(/9/g, 'N'));
+        });
+
+        it('has a station in North America and one elsewhere in the ARRL DX contest', function() {
+            var contact = new MorseQSO(5).generateContest('ARRL DX');
+            var states = contact.key.exchanges.map(function(exchange) {
+                return exchange.fields.state === undefined;
+            });
+            assert.deepEqual(states.sort(), [false, true]);
+        });
+
+        it('throws on unknown contests', function() {
+            assert.throws(function() {
+                new MorseQSO().generateContest('Worked All Britain');
+            }, /Unknown contest/);
+        });
+    });
+});
@@ -0,0 +1,48 @@
+import MorseTimbre from '../src/morse-pro-timbre';
+import MorseCWWave from '../src/morse-pro-cw-wave';
+
+var assert = require('assert');
+
+describe('morse-pro-timbre', function() {
+    describe('createOscillator()', function() {
+        ['sine', 'square', 'triangle', 'sawtooth', 'custom'].forEach(function(waveform) {
+            it('gives a ' + waveform + ' wave with a peak of 1', function() {
+                var oscillator = new MorseTimbre(waveform, [1, 0.5, 0.25]).createOscillator(500, 44100);
+                var peak = 0;
+                for (var i = 0; i < 1000; i++) {
+                    peak = Math.max(peak, Math.abs(oscillator(Math.PI * 2 * i / 1000)));
+                }
+                assert.ok(Math.abs(peak - 1) < 0.01);
+            });
+        });
+
+        it('leaves out harmonics above half the sample rate', function() {
+            var oscillator = new MorseTimbre('square').createOscillator(1500, 8000);  // only the fundamental
+            assert.ok(Math.abs(oscillator(Math.PI / 2) - 1) < 1e-9);
+            assert.ok(Math.abs(oscillator(Math.PI / 6) - 0.5) < 1e-9);
+        });
+
+        it('throws for an unknown waveform', function() {
+            assert.throws(function() {
+                new MorseTimbre('organ').createOscillator(500, 8000);
+            }, /Unknown tone waveform/);
+        });
+    });
+
+    describe('MorseCWWave.getSample()', function() {
+        it('is silent while a sounder is held down, with a click at each end', function() {
+            var morseCWWave = new MorseCWWave(true, 20, 20, 600, 8000);
+            morseCWWave.timbre = new MorseTimbre('sounder');
+            morseCWWave.translate('T');  // a 180ms dah
+            var sample = morseCWWave.getSample();
+            var peak = function(from, to) {
+                return Math.max.apply(null, sample.slice(from, to).map(Math.abs));
+            };
+            assert.equal(sample.length, 8000 * (180 + morseCWWave.timbre.getSounderLength(false)) / 1000);
+            assert.ok(peak(0, 80) > 0.5);
+            assert.ok(peak(800, 1400) < 0.001);
+            assert.ok(peak(1440, 1520) > 0.2);
+            assert.equal(morseCWWave.getSample(100).length, 8000 * 280 / 1000);
+        });
+    });
+});
@@ -0,0 +1,31 @@
+import * as TimingEvents from '../src/morse-pro-timing-events';
+
+var assert = require('assert');
+
+describe('morse-pro-timing-events', function() {
+
+    describe('fromTimings() and toTimings()', function() {
+        var tests = [
+            {timings: [60, -60, 180, -420, 60], ditLength: undefined, fditLength: undefined, kinds: ['dit', 'ditSpace', 'dah', 'wordSpace', 'dit']},
+            {timings: [60, -300, 60], ditLength: 60, fditLength: 100, kinds: ['dit', 'charSpace', 'dit']}
+        ];
+
+        tests.forEach(function(test) {
+            it('converts ' + JSON.stringify(test.timings) + ' to events and back', function() {
+                var events = TimingEvents.fromTimings(test.timings, test.ditLength, test.fditLength);
+                assert.deepEqual(events.map(function(e) { return e.kind; }), test.kinds);
+                assert.equal(events[events.length - 1].startTime, test.timings.slice(0, -1).reduce(function(t, d) { return t + Math.abs(d); }, 0));
+                assert.deepEqual(TimingEvents.toTimings(events), test.timings);
+            });
+        });
+
+        it('joins consecutive silences', function() {
+            assert.deepEqual(TimingEvents.toTimings([
+                {kind: 'dit', duration: 60},
+                {kind: 'wordSpace', duration: 420},
+                {kind: 'pause', duration: 1000},
+                {kind: 'dah', duration: 180}
+            ]), [60, -1420, 180]);
+        });
+    });
+});
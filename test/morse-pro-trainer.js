@@ -0,0 +1,67 @@
+import MorseTrainer from '../src/morse-pro-trainer';
+
+var assert = require('assert');
+
+/**
+ * Whether some text only uses the given characters (and spaces).
+ */
+var onlyUses = function(text, characters) {
+    return text.split('').every(function(c) {
+        return c === ' ' || characters.indexOf(c) !== -1;
+    });
+};
+
+describe('morse-pro-trainer', function() {
+
+    describe('generateGroups()', function() {
+        it('only uses the characters learnt and is ready to play', function() {
+            var trainer = new MorseTrainer();
+            trainer.level = 4;
+            var groups = trainer.generateGroups(20);
+            assert.deepEqual(trainer.characters, ['K', 'M', 'U', 'R']);
+            assert.equal(groups.split(' ').length, 20);
+            assert.equal(onlyUses(groups, 'KMUR'), true);
+            assert.equal(trainer.message, groups);
+            assert.equal(trainer.getTimings().length > 0, true);
+        });
+
+        it('gives the same lesson for the same seed', function() {
+            var trainer = new MorseTrainer();
+            trainer.level = 10;
+            trainer.seed = 'week 3';
+            var groups = trainer.generateGroups();
+            trainer.seed = 'week 3';
+            assert.equal(trainer.generateGroups(), groups);
+        });
+
+        it('sends the new characters more often', function() {
+            var trainer = new MorseTrainer();
+            trainer.seed = 1;
+            trainer.level = 10;
+            trainer.newWeight = 5;
+            var groups = trainer.generateGroups(100);
+            assert.equal(groups.split('T').length > groups.split('K').length, true);
+        });
+    });
+
+    describe('generateWords(), generateCallsigns() and generateText()', function() {
+        var trainer = new MorseTrainer();
+        trainer.level = 20;
+        var characters = trainer.characters.join('');
+
+        it('only use the characters learnt', function() {
+            assert.equal(onlyUses(trainer.generateWords(), characters), true);
+            assert.equal(onlyUses(trainer.generateText(), characters), true);
+            assert.equal(onlyUses(trainer.generateCallsigns(5, 'KMURES5'), 'KMURES5'), true);
+        });
+
+        it('throw if there is nothing to make', function() {
+            assert.throws(function() {
+                trainer.generateCallsigns();
+            }, /Cannot make a callsign/);
+            assert.throws(function() {
+                trainer.generateWords(10, 'QXZ');
+            }, /No words can be made/);
+        });
+    });
+});
@@ -0,0 +1,32 @@
+import * as Tree from '../src/morse-pro-tree';
+
+var assert = require('assert');
+
+describe('morse-pro-tree', function() {
+
+    describe('buildTree()', function() {
+        it('has dit and dah branches', function() {
+            var tree = Tree.buildTree();
+            assert.equal(tree.children['.'].text, 'E');
+            assert.equal(tree.children['-'].children['-'].text, 'M');
+            assert.equal(Tree.walk(tree, '...---...').text, '<SOS>');
+            assert.equal(Tree.walk(tree, '--------'), undefined);
+        });
+        it('exports as JSON', function() {
+            var tree = JSON.parse(Tree.exportTree('latin', false));
+            assert.equal(tree.children['.'].children['-'].morse, '.-');
+            assert.equal(tree.children['.'].children['-'].text, 'A');
+        });
+    });
+
+    describe('candidates()', function() {
+        it('lists the characters reachable from some morse, nearest first', function() {
+            assert.deepEqual(Tree.candidates('.-.', 'latin', false).map(function(c) {
+                return c.text;
+            }), ['R', 'L', '&', '+', '"', '.']);
+        });
+        it('uses the alphabet', function() {
+            assert.equal(Tree.candidates('_', 'american')[0].text, 'L');
+        });
+    });
+});
@@ -0,0 +1,50 @@
+import * as WPM from '../src/morse-pro-wpm';
+
+var assert = require('assert');
+
+describe('morse-pro-wpm', function() {
+
+    describe('standards', function() {
+        var tests = [
+            {standard: 'PARIS', ditLength: 60, wordSpace: 420, baud: 16.667},
+            {standard: 'CODEX', ditLength: 50, wordSpace: 350, baud: 20}
+        ];
+
+        tests.forEach(function(test) {
+            it('computes timings at 20 wpm ' + test.standard, function() {
+                assert.equal(WPM.ditLength(20, test.standard), test.ditLength);
+                assert.equal(WPM.wordSpace(20, 20, test.standard), test.wordSpace);
+                assert.equal(WPM.baud(20, test.standard).toFixed(3), test.baud.toFixed(3));
+                assert.equal(Math.round(WPM.wpmFromBaud(WPM.baud(20, test.standard), test.standard) * 1000), 20000);
+            });
+        });
+
+        it('uses the standard word for Farnsworth timing', function() {
+            // "CODEX " at 10 wpm takes 6 seconds with the characters at 20 wpm
+            var chars = 41 * WPM.ditLength(20, 'CODEX');
+            var spaces = 12 * WPM.fditLength(20, 10, 'CODEX') + 7 * WPM.fditLength(20, 10, 'CODEX');
+            assert.equal(Math.abs(chars + spaces - 6000) < 20, true);
+        });
+
+        it('converts between standards, characters per minute and baud', function() {
+            assert.equal(WPM.convert(24, 'CODEX', 'PARIS'), 28.8);
+            assert.equal(WPM.convert(20, 'PARIS', 'CODEX').toFixed(2), '16.67');
+            assert.equal(WPM.cpm(12), 60);
+            assert.equal(WPM.wpmFromCpm(60), 12);
+        });
+
+        it('gives space lengths for each spacing scheme', function() {
+            assert.equal(WPM.spaceLength(3, ' ', 20, 10), 3 * WPM.fditLength(20, 10));
+            assert.equal(WPM.spaceLength(3, ' ', 20, 10, 'wordsworth'), 180);
+            assert.equal(Math.round(WPM.spaceLength(7, '/', 20, 10, 'wordsworth')), 3420);
+            assert.equal(WPM.spaceLength(7, '/', 20, 10, {charSpace: 200, wordSpace: 800}), 800);
+            assert.equal(Math.round(WPM.wordsworthFwpm(60, WPM.wordsworthDitLength(20, 10))), 10);
+        });
+
+        it('throws on unknown standards', function() {
+            assert.throws(function() {
+                WPM.ditLength(20, 'LONDON');
+            }, /Unknown timing standard/);
+        });
+    });
+});
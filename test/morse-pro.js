@@ -89,6 +89,11 @@ describe('morse-pro', function() {
             {args: ['.'], expected: true},
             {args: ['-/ |.'], expected: true},
             {args: ['a'], expected: false},
+            {args: ['.-.-.-.-.-.-'], expected: true},
+            {args: ['Di-dah, dah-di-di-dit.'], expected: true},
+            {args: ['·− −···'], expected: true},
+            {args: ['10111000101'], expected: true},
+            {args: ['1011'], expected: false},
         ];
 
         tests.forEach(function(test) {
@@ -98,4 +103,300 @@ describe('morse-pro', function() {
             });
         });
     });
+
+    describe('alphabet registry', function() {
+        it('has the latin alphabet selected by default', function() {
+            assert.equal(Morse.getSelectedAlphabet(), 'latin');
+            assert.notEqual(Morse.getAlphabetNames().indexOf('latin'), -1);
+        });
+        it('translates with a registered alphabet', function() {
+            Morse.registerAlphabet('test-registry', {
+                characters: {'X': '.', 'Y': '-', ' ': '/'},
+                prosigns: {'<XY>': '.-'}
+            });
+            assert.equal(Morse.text2morse('xy x', true, {alphabet: 'test-registry'}).morse, '. - / .');
+            assert.equal(Morse.morse2text('.- . -', true, {alphabet: 'test-registry'}).message, '<XY>XY');
+            assert.equal(Morse.morse2text('...', true, {alphabet: 'test-registry'}).hasError, true);
+        });
+        it('extends an alphabet without changing its base', function() {
+            Morse.registerAlphabet('test-extends', {extends: 'latin', characters: {'Ω': '..--..--'}});
+            Morse.extendAlphabet('test-extends', {characters: {'E': '..-..'}});
+            assert.equal(Morse.text2morse('Ωe', true, {alphabet: 'test-extends'}).morse, '..--..-- ..-..');
+            assert.equal(Morse.text2morse('Ωe').hasError, true);
+            assert.equal(Morse.text2morse('e').morse, '.');
+        });
+        it('uses the selected alphabet by default', function() {
+            Morse.registerAlphabet('test-select', {characters: {'Q': '.'}});
+            Morse.selectAlphabet('test-select');
+            try {
+                assert.equal(Morse.morse2text('.').message, 'Q');
+            } finally {
+                Morse.selectAlphabet('latin');
+            }
+        });
+        it('throws on unresolved collisions', function() {
+            assert.throws(function() {
+                Morse.registerAlphabet('test-collision', {characters: {'X': '.', 'Y': '.'}});
+            }, /ambiguous/);
+            assert.throws(function() {
+                Morse.extendAlphabet('latin', {characters: {'Ω': '.'}});
+            }, /ambiguous/);
+            assert.equal(Morse.text2morse('Ω').hasError, true);
+        });
+        it('resolves collisions using preferred', function() {
+            Morse.registerAlphabet('test-preferred', {
+                characters: {'X': '.', 'Y': '.'},
+                prosigns: {'<XX>': '.', '<ZZ>': '-'},
+                preferred: {'.': ['Y']}
+            });
+            assert.equal(Morse.morse2text('.', false, {alphabet: 'test-preferred'}).message, 'Y');
+            assert.equal(Morse.morse2text('. -', true, {alphabet: 'test-preferred'}).message, 'Y<ZZ>');
+        });
+        it('prefers prosigns over characters when decoding', function() {
+            assert.equal(Morse.morse2text('.-.-.').message, '<AR>');
+            assert.equal(Morse.morse2text('.-.-.', false).message, '+');
+            assert.equal(Morse.morse2text('...-.-').message, '<VA>');
+        });
+        it('throws on unknown alphabets', function() {
+            assert.throws(function() {
+                Morse.text2morse('a', true, {alphabet: 'no-such-alphabet'});
+            }, /Unknown alphabet/);
+            assert.throws(function() {
+                Morse.selectAlphabet('no-such-alphabet');
+            }, /Unknown alphabet/);
+        });
+    });
+
+    describe('other scripts', function() {
+        var tests = [
+            {alphabet: 'cyrillic', text: 'ШЩЮЯЧ', morse: '---- --.- ..-- .-.- ---.'},
+            {alphabet: 'cyrillic', text: 'Съешь же ещё, 73!', morse: '... --.-- . ---- -..- / ...- . / . --.- . --..-- / --... ...-- -.-.--', message: 'СЪЕШЬ ЖЕ ЕЩЕ, 73!'},
+            {alphabet: 'greek', text: 'ΑΒΓΔ ΨΩ', morse: '.- -... --. -.. / --.- .--'},
+            {alphabet: 'greek', text: 'καλημέρα', morse: '-.- .- .-.. .... -- . .-. .-', message: 'ΚΑΛΗΜΕΡΑ'},
+            {alphabet: 'hebrew', text: 'שלום עולם', morse: '... .-.. . -- / .--- . .-.. --', message: 'שלומ עולמ'},
+            {alphabet: 'hebrew', text: 'אבגד', morse: '.- -... --. -..'}
+        ];
+
+        tests.forEach(function(test) {
+            it('round-trips "' + test.text + '" in ' + test.alphabet, function() {
+                var options = {alphabet: test.alphabet};
+                var res = Morse.text2morse(test.text, true, options);
+                assert.equal(res.hasError, false);
+                assert.equal(res.morse, test.morse);
+                res = Morse.morse2text(res.morse, true, options);
+                assert.equal(res.hasError, false);
+                assert.equal(res.message, test.message || test.text);
+            });
+        });
+
+        it('decodes the same morse into each script', function() {
+            var morse = '.- -... --.';
+            assert.equal(Morse.morse2text(morse).message, 'ABG');
+            assert.equal(Morse.morse2text(morse, true, {alphabet: 'cyrillic'}).message, 'АБГ');
+            assert.equal(Morse.morse2text(morse, true, {alphabet: 'greek'}).message, 'ΑΒΓ');
+            assert.equal(Morse.morse2text(morse, true, {alphabet: 'hebrew'}).message, 'אבג');
+        });
+
+        it('does not encode latin letters in other scripts', function() {
+            assert.equal(Morse.text2morse('A', true, {alphabet: 'cyrillic'}).hasError, true);
+        });
+    });
+
+    describe('wabun', function() {
+        var tests = [
+            {args: ['コンニチハ'], expected: {morse: '-..--- ---- .-.-. -.-. ..-. -...', message: 'コンニチハ', alphabet: 'wabun'}},
+            {args: ['こんにちは'], expected: {morse: '-..--- ---- .-.-. -.-. ..-. -...', message: 'コンニチハ', alphabet: 'wabun'}},
+            {args: ['ガッコウ', true, {alphabet: 'wabun'}], expected: {morse: '.-.. .. .--. ---- ..-', message: 'カ゛ツコウ', alphabet: 'wabun'}},
+            {args: ['QTH トウキョウ OK'], expected: {morse: '--.- - .... / -..--- ..-.. ..- -.-.. -- ..- / ...-. --- -.-', message: 'QTH トウキヨウ OK', alphabet: 'latin'}},
+            {args: ['イ <SN> A'], expected: {morse: '-..--- .- / ...-. / .-', message: 'イ <SN> A', alphabet: 'latin'}},
+        ];
+
+        tests.forEach(function(test) {
+            it('translates "' + test.args[0] + '" to "' + test.expected.morse + '"', function() {
+                var res = Morse.text2morse.apply(null, test.args);
+                assert.equal(res.hasError, false);
+                for (var key in test.expected) {
+                    assert.equal(res[key], test.expected[key]);
+                }
+            });
+        });
+
+        it('switches mode when decoding', function() {
+            var res = Morse.morse2text('--.- - .... / -..--- ..-.. ..- -.-.. -- ..- / ...-. --- -.-');
+            assert.equal(res.message, 'QTH トウキヨウ OK');
+            assert.equal(res.alphabet, 'latin');
+            res = Morse.morse2text('-..--- ..-..');
+            assert.equal(res.message, 'ト');
+            assert.equal(res.alphabet, 'wabun');
+            assert.equal(Morse.morse2text('..-..', true, {alphabet: res.alphabet}).message, 'ト');
+        });
+
+        it('only switches mode when encoding with prosigns', function() {
+            var res = Morse.text2morse('QTH トウ OK', false);
+            assert.equal(res.morse, '--.- - .... / # # / --- -.-');
+            assert.equal(res.hasError, true);
+            assert.equal(res.errors.length, 2);
+            assert.equal(res.alphabet, 'latin');
+            assert.equal(Morse.morse2text(res.morse.replace(/# # \/ /, ''), false).message, 'QTH OK');
+        });
+
+        it('only switches mode when decoding with prosigns', function() {
+            var res = Morse.morse2text('-..--- .-', false);
+            assert.equal(res.message, '#A');
+            assert.equal(res.hasError, true);
+            assert.equal(res.alphabet, 'latin');
+        });
+
+        it('gives the prosign if nothing follows it', function() {
+            var res = Morse.morse2text('-..---');
+            assert.equal(res.message, '<DO>');
+            assert.equal(res.hasError, false);
+            assert.equal(res.alphabet, 'wabun');
+        });
+    });
+
+    describe('extended latin', function() {
+        var options = {alphabet: 'latin-extended'};
+
+        it('is not used by default', function() {
+            assert.equal(Morse.text2morse('Ä').hasError, true);
+        });
+        it('encodes accented letters', function() {
+            var res = Morse.text2morse('Ärger über Mañana, Chère Łódź', true, options);
+            assert.equal(res.hasError, false);
+            assert.equal(res.morse, '.-.- .-. --. . .-. / ..-- -... . .-. / -- .- --.-- .- -. .- --..-- / -.-. .... .-..- .-. . / .-..- ---. -.. --..-.');
+        });
+        it('only encodes CH as one character when asked to', function() {
+            assert.equal(Morse.text2morse('CHECK MACHINE', true, options).morse, Morse.text2morse('CHECK MACHINE').morse);
+            assert.equal(Morse.text2morse('Bach', true, {alphabet: 'latin-extended-ch'}).morse, '-... .- ----');
+        });
+        it('decodes shared morse using the preferred character', function() {
+            assert.equal(Morse.morse2text('---. ..-- ---- ..-.. -.-..', true, options).message, 'ÖÜĤÉÇ');
+            assert.equal(Morse.morse2text('----', true, {alphabet: 'latin-extended-ch'}).message, 'CH');
+        });
+        it('decodes prosigns in preference to characters only when using prosigns', function() {
+            assert.equal(Morse.morse2text('.-.- / ...-.', true, options).message, '<AA> <VE>');
+            assert.equal(Morse.morse2text('.-.- / ...-.', false, options).message, 'Ä Ŝ');
+        });
+        it('can be configured to decode characters in preference to prosigns', function() {
+            Morse.registerAlphabet('test-extended', {extends: 'latin-extended', preferred: {'.-.-': ['Ä', '<AA>']}});
+            assert.equal(Morse.morse2text('.-.-', true, {alphabet: 'test-extended'}).message, 'Ä');
+            assert.equal(Morse.text2morse('<AA>', true, {alphabet: 'test-extended'}).morse, '.-.-');
+        });
+    });
+
+    describe('american', function() {
+        var options = {alphabet: 'american'};
+
+        it('encodes long dashes and spaces inside characters', function() {
+            assert.equal(Morse.text2morse('Cool 1870', true, options).morse, '..~. .~. .~. _ / .--. -.... --.. =');
+        });
+        it('decodes without treating "_" as a dash', function() {
+            assert.equal(Morse.morse2text('..~. .~. .~. _ / .--. -.... --.. =', true, options).message, 'COOL 1870');
+        });
+        it('looks like morse', function() {
+            assert.equal(Morse.looksLikeMorse('.~. _', 'american'), true);
+            assert.equal(Morse.looksLikeMorse('.~. _'), false);
+        });
+    });
+
+    describe('unsupported characters', function() {
+        var text = 'Café “ok” — 😀';
+        var tests = [
+            {policy: 'error', expected: {morse: '-.-. .- ..-. # / # --- -.- # / # / #', message: 'CAF#É# #“#OK#”# #—# #😀#', hasError: true}},
+            {policy: 'drop', expected: {morse: '-.-. .- ..-. / --- -.-', message: 'CAF OK', hasError: false}},
+            {policy: 'transliterate', expected: {morse: '-.-. .- ..-. . / .-..-. --- -.- .-..-. / -....-', message: 'CAFE "OK" -', hasError: false}},
+        ];
+
+        tests.forEach(function(test) {
+            it('handles "' + text + '" with the ' + test.policy + ' policy', function() {
+                var res = Morse.text2morse(text, true, {unsupported: test.policy});
+                for (var key in test.expected) {
+                    assert.equal(res[key], test.expected[key]);
+                }
+            });
+        });
+
+        it('reports substitutions', function() {
+            var res = Morse.text2morse('Straße, naïve 😀!', true, {unsupported: 'transliterate'});
+            assert.equal(res.message, 'STRASSE, NAIVE !');
+            assert.deepEqual(res.substitutions, [
+                {offset: 4, from: 'ß', to: 'SS'},
+                {offset: 10, from: 'ï', to: 'I'},
+                {offset: 14, from: '😀', to: ''}
+            ]);
+        });
+
+        it('rejects unknown policies', function() {
+            assert.throws(function() {
+                Morse.text2morse('a', true, {unsupported: 'ignore'});
+            }, /Unknown policy/);
+        });
+    });
+
+    describe('cut numbers', function() {
+        it('encodes digits in numeric fields as cut numbers', function() {
+            var res = Morse.text2morse('ur 599 001 de m0xyz', true, {cutNumbers: '09'});
+            assert.equal(res.message, 'UR 5NN TT1 DE M0XYZ');
+            assert.deepEqual(res.substitutions.map(function(s) {
+                return s.offset + s.to;
+            }), ['4N', '5N', '7T', '8T']);
+        });
+        it('decodes cut numbers in numeric fields', function() {
+            var morse = Morse.text2morse('UR 5NN TT1 NN').morse;
+            assert.equal(Morse.morse2text(morse, true, {cutNumbers: true}).message, 'UR 599 001 NN');
+            assert.equal(Morse.morse2text(morse).message, 'UR 5NN TT1 NN');
+        });
+        it('decodes fields cut completely in an exchange', function() {
+            var morse = Morse.text2morse('599 001', true, {cutNumbers: true}).morse;
+            assert.equal(Morse.morse2text(morse, true, {cutNumbers: true}).message, 'ENN TTA');
+            assert.equal(Morse.morse2text(morse, true, {cutNumbers: true, exchange: true}).message, '599 001');
+        });
+    });
+
+    describe('errors', function() {
+        it('lists untranslatable text', function() {
+            var res = Morse.text2morse('a  {b} Ä', true);
+            assert.equal(res.morse, '.- / # -... # / #');
+            assert.deepEqual(res.errors.map(function(e) {
+                return [e.inputOffset, e.token, e.outputOffset];
+            }), [[3, '{', 5], [5, '}', 12], [7, 'Ä', 16]]);
+            assert.equal(res.errors[2].reason, 'No Morse code for "Ä" in the latin alphabet');
+        });
+        it('lists untranslatable morse', function() {
+            var res = Morse.morse2text(' .-  ........ | _.._.. ', true);
+            assert.equal(res.message, 'A# #');
+            assert.deepEqual(res.errors.map(function(e) {
+                return [e.inputOffset, e.token, e.outputOffset];
+            }), [[5, '........', 1], [16, '-..-..', 3]]);
+        });
+        it('links the input, message and morse with spans', function() {
+            var res = Morse.text2morse('ok {');
+            assert.deepEqual(res.spans.map(function(span) {
+                return [span.inputOffset, span.inputLength, res.message.substr(span.messageOffset, span.messageLength), res.morse.substr(span.morseOffset, span.morseLength)];
+            }), [[0, 1, 'O', '---'], [1, 1, 'K', '-.-'], [2, 1, ' ', '/'], [3, 1, '#{#', '#']]);
+            res = Morse.morse2text('--- |  -.-');
+            assert.deepEqual(res.spans.map(function(span) {
+                return [span.inputOffset, span.inputLength, res.message.substr(span.messageOffset, span.messageLength), res.morse.substr(span.morseOffset, span.morseLength)];
+            }), [[0, 3, 'O', '---'], [4, 1, ' ', '/'], [7, 3, 'K', '-.-']]);
+        });
+        it('gives every character a span of the input character it came from', function() {
+            var res = Morse.text2morse('Straße');
+            assert.deepEqual(res.spans.map(function(span) {
+                return span.inputOffset + ':' + span.inputLength;
+            }), ['0:1', '1:1', '2:1', '3:1', '4:1', '4:1', '5:1']);
+        });
+        it('gives ranked alternatives in fuzzy mode', function() {
+            var res = Morse.morse2text('.-.-.-.-.-.- / ---- -', true, {fuzzy: 5});
+            assert.deepEqual(res.errors[0].alternatives, [{text: '..', morse: '.-.-.- .-.-.-', score: 0.5, type: 'split'}]);
+            assert.deepEqual(res.errors[1].alternatives.map(function(a) {
+                return a.text + ' ' + a.type;
+            }), ['TO split', 'MM split', 'OT split', '0 merge', '1 edit']);  // '0' is also an edit of '----' but is only given once
+            assert.equal(Morse.morse2text('----').errors[0].alternatives, undefined);
+        });
+        it('has no errors for good input', function() {
+            assert.deepEqual(Morse.text2morse('SOS').errors, []);
+            assert.deepEqual(Morse.morse2text('... --- ...').errors, []);
+        });
+    });
 });